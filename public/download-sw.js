@@ -0,0 +1,84 @@
+// Streaming downloads for browsers without showSaveFilePicker.
+// The page registers a download over a MessagePort, then opens its URL in a hidden iframe;
+// we answer that request with a ReadableStream fed from the port, so the browser saves it to disk
+// as it arrives instead of the page holding the whole file in memory.
+
+const DOWNLOAD_PREFIX = "__stream-download__/";
+const STREAM_HIGH_WATER_MARK = 8 * 1024 * 1024;
+
+const pending = new Map(); // url -> { port, name, size }
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("message", (event) => {
+  const msg = event.data;
+  const port = event.ports?.[0];
+  if (!msg || msg.type !== "stream-download" || !port) return;
+
+  const id = String(msg.id || "").replace(/[^a-zA-Z0-9_-]/g, "") || String(Date.now());
+  const name = String(msg.name || "download");
+  const url = new URL(`${DOWNLOAD_PREFIX}${id}/${encodeURIComponent(name)}`, self.registration.scope).href;
+  pending.set(url, { port, name, size: Number(msg.size) || 0 });
+  port.postMessage({ type: "ready", url });
+});
+
+self.addEventListener("fetch", (event) => {
+  const url = event.request.url;
+  const entry = pending.get(url);
+  if (!entry) return;
+  pending.delete(url);
+  event.respondWith(createDownloadResponse(entry));
+});
+
+function createDownloadResponse({ port, name, size }) {
+  // Each chunk is acknowledged once the stream has room for more, which is what paces the page.
+  let ackPending = false;
+  const stream = new ReadableStream(
+    {
+      start(controller) {
+        port.onmessage = ({ data }) => {
+          if (!data) return;
+          if (data.type === "chunk") {
+            controller.enqueue(new Uint8Array(data.data));
+            if (controller.desiredSize > 0) port.postMessage({ type: "ack" });
+            else ackPending = true;
+          } else if (data.type === "end") {
+            controller.close();
+            port.close();
+          } else if (data.type === "abort") {
+            controller.error(new Error(data.reason || "Aborted"));
+            port.close();
+          }
+        };
+        port.postMessage({ type: "started" });
+      },
+      pull() {
+        if (!ackPending) return;
+        ackPending = false;
+        port.postMessage({ type: "ack" });
+      },
+      cancel(reason) {
+        port.postMessage({ type: "cancelled", reason: String(reason || "") });
+        port.close();
+      },
+    },
+    new ByteLengthQueuingStrategy({ highWaterMark: STREAM_HIGH_WATER_MARK })
+  );
+
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  const headers = {
+    "Content-Type": "application/octet-stream; charset=utf-8",
+    "Content-Disposition": `attachment; filename*=UTF-8''${encoded}`,
+    "Content-Security-Policy": "default-src 'none'",
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "no-store",
+  };
+  if (size > 0) headers["Content-Length"] = String(size);
+  return new Response(stream, { headers });
+}
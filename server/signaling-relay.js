@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// Self-hosted signaling relay for share-file (VITE_SIGNALING_URL=ws://host:8787).
+// It only forwards sealed envelopes between the clients of a room and tracks who is in it; the
+// join/signal messages inside are encrypted with the room code. Rooms are named by a hash of the
+// code, so the relay never sees the code itself, though it could still guess a short one.
+//
+//   PORT=8787 HOST=0.0.0.0 node server/signaling-relay.js
+//   TLS_CERT=cert.pem TLS_KEY=key.pem node server/signaling-relay.js   (serves wss://)
+
+import { readFileSync } from "node:fs";
+import { createServer as createHttpServer } from "node:http";
+import { createServer as createHttpsServer } from "node:https";
+import { WebSocketServer } from "ws";
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "0.0.0.0";
+const TLS_CERT = process.env.TLS_CERT || "";
+const TLS_KEY = process.env.TLS_KEY || "";
+const MAX_MESSAGE_BYTES = 64 * 1024; // a full SDP offer is a few KB
+const MAX_PEERS_PER_ROOM = 16;
+const MAX_ID_LENGTH = 128;
+const MAX_META_BYTES = 1024;
+const HEARTBEAT_MS = 30_000;
+
+const rooms = new Map(); // roomId -> Map<clientId, { socket, token, meta }>
+
+function sendOp(socket, msg) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(msg));
+}
+
+// Client ids are public (presence lists them), so taking over an id needs the token its first
+// socket subscribed with; it never leaves the relay.
+function isValidToken(value) {
+  return typeof value === "string" && value.length >= 16 && value.length <= MAX_ID_LENGTH;
+}
+
+function isValidId(value) {
+  return typeof value === "string" && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+function broadcastPresence(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  const peers = {};
+  for (const [id, member] of room) {
+    if (member.meta) peers[id] = member.meta;
+  }
+  for (const member of room.values()) sendOp(member.socket, { op: "presence", peers });
+}
+
+function leaveRoom(socket) {
+  const { roomId, clientId } = socket;
+  if (!roomId) return;
+  socket.roomId = "";
+  socket.clientId = "";
+  const room = rooms.get(roomId);
+  if (!room || room.get(clientId)?.socket !== socket) return;
+  room.delete(clientId);
+  if (room.size) broadcastPresence(roomId);
+  else rooms.delete(roomId);
+}
+
+function handleSubscribe(socket, msg) {
+  if (!isValidId(msg.room) || !isValidId(msg.id) || !isValidToken(msg.token)) {
+    sendOp(socket, { op: "error", reason: "Invalid room or client id" });
+    return;
+  }
+  const existing = rooms.get(msg.room)?.get(msg.id);
+  if (existing && existing.socket !== socket && existing.token !== msg.token) {
+    sendOp(socket, { op: "error", reason: "Client id already in use" });
+    return;
+  }
+  leaveRoom(socket);
+
+  let room = rooms.get(msg.room);
+  if (!room) {
+    room = new Map();
+    rooms.set(msg.room, room);
+  }
+  // A client that reconnects under the same id (and token) replaces its stale socket.
+  const stale = room.get(msg.id);
+  if (stale && stale.socket !== socket) {
+    stale.socket.roomId = "";
+    stale.socket.close(4000, "Replaced by a newer connection");
+  } else if (room.size >= MAX_PEERS_PER_ROOM) {
+    sendOp(socket, { op: "error", reason: "Room is full" });
+    return;
+  }
+
+  room.set(msg.id, { socket, token: msg.token, meta: null });
+  socket.roomId = msg.room;
+  socket.clientId = msg.id;
+  sendOp(socket, { op: "subscribed" });
+  broadcastPresence(msg.room);
+}
+
+function handlePublish(socket, msg) {
+  const room = rooms.get(socket.roomId);
+  if (!room || !msg.payload || typeof msg.payload !== "object") return;
+  // Clients verify the sealed sender id themselves; the envelope is forwarded untouched.
+  const out = JSON.stringify({ op: "msg", payload: msg.payload });
+  for (const [id, member] of room) {
+    if (id !== socket.clientId && member.socket.readyState === member.socket.OPEN) member.socket.send(out);
+  }
+}
+
+function handleTrack(socket, msg) {
+  const member = rooms.get(socket.roomId)?.get(socket.clientId);
+  if (!member || !msg.meta || typeof msg.meta !== "object") return;
+  if (JSON.stringify(msg.meta).length > MAX_META_BYTES) {
+    sendOp(socket, { op: "error", reason: "Presence metadata too large" });
+    return;
+  }
+  member.meta = msg.meta;
+  broadcastPresence(socket.roomId);
+}
+
+const server =
+  TLS_CERT && TLS_KEY
+    ? createHttpsServer({ cert: readFileSync(TLS_CERT), key: readFileSync(TLS_KEY) })
+    : createHttpServer();
+
+server.on("request", (req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end("share-file signaling relay\n");
+});
+
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES });
+
+wss.on("connection", (socket) => {
+  socket.isAlive = true;
+  socket.roomId = "";
+  socket.clientId = "";
+
+  socket.on("pong", () => {
+    socket.isAlive = true;
+  });
+
+  socket.on("message", (data, isBinary) => {
+    if (isBinary) return;
+    let msg;
+    try { msg = JSON.parse(String(data)); } catch { return; }
+    if (msg?.op === "subscribe") handleSubscribe(socket, msg);
+    else if (msg?.op === "publish") handlePublish(socket, msg);
+    else if (msg?.op === "track") handleTrack(socket, msg);
+  });
+
+  socket.on("close", () => leaveRoom(socket));
+  socket.on("error", (err) => console.warn("[relay] socket error:", err.message));
+});
+
+// Drop sockets that stopped answering pings (sleeping laptops, dead NAT mappings).
+const heartbeat = setInterval(() => {
+  for (const socket of wss.clients) {
+    if (!socket.isAlive) {
+      socket.terminate();
+      continue;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  }
+}, HEARTBEAT_MS);
+
+wss.on("close", () => clearInterval(heartbeat));
+
+server.listen(PORT, HOST, () => {
+  const scheme = TLS_CERT && TLS_KEY ? "wss" : "ws";
+  console.log(`share-file signaling relay listening on ${scheme}://${HOST}:${PORT}`);
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    wss.close();
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 1000).unref();
+  });
+}
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Development stand-in for a TURN REST API endpoint (VITE_TURN_REST_URL=http://localhost:8788/turn-credentials).
+// It hands out short-lived credentials the way coturn's `use-auth-secret` expects them, so a local
+// coturn started with the same `static-auth-secret` accepts them:
+//
+//   GET /turn-credentials?service=turn&username=<user>
+//     -> { username: "<expiry>:<user>", password: base64(HMAC-SHA1(secret, username)), ttl, uris }
+//
+//   TURN_SECRET=... TURN_URIS=turn:192.168.1.10:3478 PORT=8788 node server/turn-credentials.js
+//
+// Anyone who can reach it gets TURN access, so keep it on a development machine.
+
+import { createHmac, randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8788;
+const HOST = process.env.HOST || "127.0.0.1";
+const TTL_SEC = Number(process.env.TURN_TTL) || 3600;
+const TURN_URIS = (process.env.TURN_URIS || "turn:127.0.0.1:3478?transport=udp,turn:127.0.0.1:3478?transport=tcp")
+  .split(",")
+  .map((uri) => uri.trim())
+  .filter(Boolean);
+const SECRET = process.env.TURN_SECRET || randomBytes(24).toString("base64url");
+const MAX_USER_LENGTH = 64;
+
+function issueCredentials(user) {
+  const expiry = Math.floor(Date.now() / 1000) + TTL_SEC;
+  const username = `${expiry}:${user}`;
+  const password = createHmac("sha1", SECRET).update(username).digest("base64");
+  return { username, password, ttl: TTL_SEC, uris: TURN_URIS };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url || "/", "http://localhost");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "GET" });
+    res.end();
+    return;
+  }
+  if (req.method !== "GET" || url.pathname !== "/turn-credentials") {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+  if ((url.searchParams.get("service") || "turn") !== "turn") {
+    sendJson(res, 400, { error: "Unsupported service" });
+    return;
+  }
+  const user = (url.searchParams.get("username") || "anonymous").replace(/[^\w.-]/g, "").slice(0, MAX_USER_LENGTH);
+  sendJson(res, 200, issueCredentials(user || "anonymous"));
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`TURN credential endpoint on http://${HOST}:${PORT}/turn-credentials (ttl ${TTL_SEC}s)`);
+  console.log(`TURN URIs: ${TURN_URIS.join(", ")}`);
+  if (!process.env.TURN_SECRET) {
+    console.log(`No TURN_SECRET set; generated one for this run. Start coturn with:`);
+    console.log(`  turnserver --use-auth-secret --static-auth-secret=${SECRET} --realm=sharefile.local`);
+  }
+});
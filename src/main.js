@@ -1,6 +1,25 @@
 import "./style.css";
 import { SignalingService } from "./services/signaling.js";
+import { WebSocketSignalingService } from "./services/wsSignaling.js";
+import { BroadcastSignalingService, hasBroadcastChannel } from "./services/broadcastSignaling.js";
+import { CombinedSignalingService } from "./services/combinedSignaling.js";
+import { FailoverSignalingService } from "./services/failoverSignaling.js";
 import { FAQ_INTRO, FAQ_ITEMS } from "./faqContent.js";
+import { sha256Blob, Sha256Stream } from "./utils/sha256.js";
+import { canStreamDownloads, createStreamDownloadWriter, registerDownloadWorker } from "./utils/streamDownload.js";
+import { decodeQrFromFile, renderQrDataUrl } from "./utils/qr.js";
+import { getPublicNetworkHint } from "./utils/networkHint.js";
+import { createInviteKeys, deriveInviteKey, openInviteCode, sealInviteCode } from "./utils/inviteKeys.js";
+import { getNetworkAdvice, runNetworkTest } from "./webrtc/networkTest.js";
+import {
+  DIGIT_CODE_LENGTH,
+  findUnknownWord,
+  generateDigitCode,
+  generateWordCode,
+  isDigitInput,
+  parseRoomCode,
+  suggestWordCodes,
+} from "./utils/roomCode.js";
 import {
   DC_BUFFER_HIGH_WATER_MARK,
   DC_BUFFER_LOW_WATER_MARK,
@@ -9,17 +28,29 @@ import {
   PeerClient,
   UI_PROGRESS_MIN_INTERVAL_MS,
   createAbortError,
+  exportSettings,
   getBinaryByteLength,
   getFastFileChannelCount,
+  hasStreamCompression,
+  importSettings,
   isAbortError,
   isDcSendQueueFullError,
   normalizeLanIpOverride,
   nowMs,
+  resetSettings,
   streamIdMatchesBase,
+  validateSetting,
   webrtcConfig,
+  setCodeLifetime,
+  setConfigDefaults,
   setForceTurnRelay,
   setLanIpOverrideValue,
+  setNearbyGroup,
+  setNearbyName,
+  setRequireSasConfirm,
+  setStunUrls,
   setTurnCredential,
+  setTurnRestUrl,
   setTurnUrl,
   setTurnUsername,
   setUseFastTransfer,
@@ -37,9 +68,57 @@ import {
 // Loaded from .env file (Vite)
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || "";
 const SUPABASE_KEY = import.meta.env.VITE_SUPABASE_KEY || "";
+// ws(s):// URL of a self-hosted relay (server/signaling-relay.js); takes precedence over Supabase.
+const SIGNALING_URL = import.meta.env.VITE_SIGNALING_URL || "";
+// Optional ordered failover list, e.g. "wss://relay.example.com,supabase"; overrides the two above.
+const SIGNALING_BACKENDS = import.meta.env.VITE_SIGNALING_BACKENDS || "";
+
+// ICE servers: comma-separated STUN/TURN URL lists, and an endpoint handing out short-lived TURN
+// credentials (TURN REST API, e.g. `npm run turn-credentials` in development).
+const STUN_URLS = import.meta.env.VITE_STUN_URLS || "";
+const TURN_URLS = import.meta.env.VITE_TURN_URLS || "";
+const TURN_REST_URL = import.meta.env.VITE_TURN_REST_URL || "";
+
+// "digits" (default) or "words"; receivers accept either format whatever this is set to.
+const ROOM_CODE_FORMAT = import.meta.env.VITE_ROOM_CODE_FORMAT === "words" ? "words" : "digits";
 
 // Check if configured
 const isSupabaseConfigured = () => SUPABASE_URL && SUPABASE_URL.startsWith("http") && SUPABASE_KEY;
+const isRelayUrl = (value) => /^wss?:\/\//i.test(value);
+
+// Remote backends in failover order: "supabase" or a relay URL per entry.
+function getRemoteBackendSpecs() {
+  const entries = SIGNALING_BACKENDS
+    ? SIGNALING_BACKENDS.split(",").map((entry) => entry.trim()).filter(Boolean)
+    : [SIGNALING_URL || "supabase"];
+  return entries.filter((entry) => {
+    if (isRelayUrl(entry)) return true;
+    if (entry.toLowerCase() === "supabase") return Boolean(isSupabaseConfigured());
+    console.warn(`[Signaling] Ignoring unknown signaling backend "${entry}"`);
+    return false;
+  });
+}
+
+const isRemoteSignalingConfigured = () => getRemoteBackendSpecs().length > 0;
+// Tabs of the same browser can always pair through BroadcastChannel, server or not.
+const isSignalingConfigured = () => isRemoteSignalingConfigured() || hasBroadcastChannel();
+
+function createSignalingService() {
+  const backends = getRemoteBackendSpecs().map((entry) =>
+    isRelayUrl(entry) ? new WebSocketSignalingService(entry) : new SignalingService(SUPABASE_URL, SUPABASE_KEY)
+  );
+  const remote = backends.length > 1 ? new FailoverSignalingService(backends) : backends[0] || null;
+  if (!hasBroadcastChannel()) return remote || new SignalingService(SUPABASE_URL, SUPABASE_KEY);
+  return new CombinedSignalingService([new BroadcastSignalingService(), remote].filter(Boolean));
+}
+
+// Deployment defaults; settings the user has saved (or imported) still win.
+setConfigDefaults({
+  stunUrls: STUN_URLS ? STUN_URLS.split(",").map((url) => url.trim()).filter(Boolean) : undefined,
+  turnUrl: TURN_URLS || undefined,
+  turnRestUrl: TURN_REST_URL || undefined,
+  useTurn: TURN_URLS || TURN_REST_URL ? true : undefined,
+});
 
 // Expose runtime toggles for debugging/configuration (keeps previous API surface).
 window.setUseStun = setUseStun;
@@ -49,10 +128,16 @@ window.setUseFastTransfer = setUseFastTransfer;
 window.setUseLanIpOverride = setUseLanIpOverride;
 window.setLanIpOverrideValue = setLanIpOverrideValue;
 window.setUseTurn = setUseTurn;
+window.setStunUrls = setStunUrls;
 window.setTurnUrl = setTurnUrl;
+window.setTurnRestUrl = setTurnRestUrl;
 window.setTurnUsername = setTurnUsername;
 window.setTurnCredential = setTurnCredential;
 window.setForceTurnRelay = setForceTurnRelay;
+window.setRequireSasConfirm = setRequireSasConfirm;
+window.setCodeLifetime = setCodeLifetime;
+window.setNearbyName = setNearbyName;
+window.setNearbyGroup = setNearbyGroup;
 
 function formatBytes(bytes) {
   const n = Number(bytes);
@@ -89,60 +174,91 @@ async function copyToClipboard(text) {
   }
 }
 
+// Copies `text` and briefly shows "Copied" on the button that asked for it.
+async function copyWithFeedback(btn, text) {
+  const old = btn.textContent;
+  try {
+    await copyToClipboard(text);
+    btn.textContent = "Copied";
+    setTimeout(() => {
+      if (btn.isConnected) btn.textContent = old;
+    }, 1500);
+  } catch (err) {
+    console.error(err);
+    alert("Copy failed.");
+  }
+}
+
 const outgoingQueue = [];
 const outgoingQueuedIds = new Set();
 let outgoingRunning = false;
 const outgoingCancelledIds = new Set(); // fileId cancelled before start
-const outgoingTransfers = new Map(); // fileId -> { controller, metaSent }
+const outgoingTransfers = new Map(); // fileId -> { controller, metaSent, accepted, sid, file }
+const pausedOutgoing = new Map(); // fileId -> { file, sid } (interrupted by a connection drop, resumable)
+const MAX_PARALLEL_OUTGOING = 4;
+let outgoingActiveJobs = 0;
+let activeChunkSenders = 0; // transfers currently pushing chunks (they share the send buffer budget)
 
-function enqueueOutgoingFile(id) {
+function enqueueOutgoingFile(id, options) {
   if (outgoingQueuedIds.has(id)) return Promise.resolve();
   outgoingQueuedIds.add(id);
 
   return new Promise((resolve, reject) => {
-    outgoingQueue.push({ id, resolve, reject });
+    outgoingQueue.push({ id, options, resolve, reject });
     void processOutgoingQueue();
   });
 }
 
+// Runs up to MAX_PARALLEL_OUTGOING transfers at once so a single pending "Accept" doesn't stall the rest.
 async function processOutgoingQueue() {
   if (outgoingRunning) return;
   outgoingRunning = true;
 
   try {
-    while (outgoingQueue.length) {
+    while (outgoingQueue.length && outgoingActiveJobs < MAX_PARALLEL_OUTGOING) {
       const job = outgoingQueue.shift();
       if (!job) continue;
-      const { id, resolve, reject } = job;
-      try {
-        if (outgoingCancelledIds.has(id)) throw createAbortError();
-        await doSendFile(id);
-        resolve();
-      } catch (err) {
-        reject(err);
-      } finally {
-        outgoingQueuedIds.delete(id);
-        outgoingCancelledIds.delete(id);
-      }
+      outgoingActiveJobs += 1;
+      void runOutgoingJob(job);
     }
   } finally {
     outgoingRunning = false;
   }
 }
 
+async function runOutgoingJob({ id, options, resolve, reject }) {
+  try {
+    if (outgoingCancelledIds.has(id)) throw createAbortError();
+    await doSendFile(id, options);
+    resolve();
+  } catch (err) {
+    reject(err);
+  } finally {
+    outgoingQueuedIds.delete(id);
+    outgoingCancelledIds.delete(id);
+    outgoingActiveJobs -= 1;
+    void processOutgoingQueue();
+  }
+}
+
 const fileAcceptWaiters = new Map(); // id -> { resolve, reject }
-const fileAcceptEarly = new Set(); // id accepted before waiter is registered (race-safe)
+const fileAcceptEarly = new Map(); // id -> accept info, accepted before waiter is registered (race-safe)
 
-function resolveFileAccept(id) {
+function resolveFileAccept(id, info = {}) {
   const fileId = String(id ?? "").trim();
   if (!fileId) return;
+  // Accepts echo the stream id they answer; drop ones left over from an earlier attempt.
+  const out = outgoingTransfers.get(fileId);
+  const sid = String(info?.sid ?? "").trim();
+  if (out?.sid && sid && sid !== out.sid) return;
+
   const waiter = fileAcceptWaiters.get(fileId);
   if (!waiter) {
     // Only keep early accepts for active outgoing transfers; ignore stale/duplicate accepts.
-    if (outgoingTransfers.has(fileId)) fileAcceptEarly.add(fileId);
+    if (out) fileAcceptEarly.set(fileId, info);
     return;
   }
-  waiter.resolve();
+  waiter.resolve(info);
 }
 
 function rejectFileAccept(id, err) {
@@ -157,8 +273,9 @@ function waitForFileAccept(id, timeoutMs = 10 * 60 * 1000, { signal } = {}) {
   const fileId = String(id ?? "").trim();
   if (!fileId) return Promise.reject(new Error("Missing file id"));
   if (fileAcceptEarly.has(fileId)) {
+    const info = fileAcceptEarly.get(fileId);
     fileAcceptEarly.delete(fileId);
-    return Promise.resolve();
+    return Promise.resolve(info);
   }
 
   return new Promise((resolve, reject) => {
@@ -195,9 +312,9 @@ function waitForFileAccept(id, timeoutMs = 10 * 60 * 1000, { signal } = {}) {
     }, timeoutMs);
 
     fileAcceptWaiters.set(fileId, {
-      resolve: () => {
+      resolve: (info) => {
         cleanup();
-        resolve();
+        resolve(info);
       },
       reject: (err) => {
         cleanup();
@@ -209,10 +326,10 @@ function waitForFileAccept(id, timeoutMs = 10 * 60 * 1000, { signal } = {}) {
 
 const fileDoneWaiters = new Map(); // id -> { resolve, reject }
 
-function resolveFileDone(id) {
+function resolveFileDone(id, info = {}) {
   const waiter = fileDoneWaiters.get(id);
   if (!waiter) return;
-  waiter.resolve();
+  waiter.resolve(info);
 }
 
 function rejectFileDone(id, err) {
@@ -256,9 +373,9 @@ function waitForFileDone(id, timeoutMs = 10 * 60 * 1000, { signal } = {}) {
     }, timeoutMs);
 
     fileDoneWaiters.set(id, {
-      resolve: () => {
+      resolve: (info) => {
         cleanup();
-        resolve();
+        resolve(info);
       },
       reject: (err) => {
         cleanup();
@@ -293,7 +410,7 @@ function getSendChunkSize(overheadBytes = 0) {
   return Math.max(1, base - overhead);
 }
 
-async function doSendFile(id) {
+async function doSendFile(id, { resume = false, prevSid = "" } = {}) {
   const file = stagedFiles.get(id);
   if (!file) return;
   if (!peer?.dc || peer.dc.readyState !== "open") {
@@ -303,18 +420,28 @@ async function doSendFile(id) {
   if (outgoingCancelledIds.has(id)) throw createAbortError();
 
   const controller = new AbortController();
-  outgoingTransfers.set(id, { controller, metaSent: false });
+  // Every transfer (and every resume of one) streams over its own channels, so the receiver can
+  // route frames by stream id and ignore ones still in flight from an interrupted attempt.
+  const sid = Math.random().toString(36).slice(2);
+  outgoingTransfers.set(id, {
+    controller,
+    metaSent: false,
+    accepted: false,
+    sid,
+    file,
+    creditLimit: Infinity, // byte offset the receiver lets us send up to (flow control)
+    creditWaiter: null,
+  });
   const signal = controller.signal;
-  const waitAck = webrtcConfig.useUnorderedFileChannel;
   try {
+    const remoteCaps = await peer.waitForRemoteCaps({ timeoutMs: 1200 });
     let streamCount = 1;
     if (webrtcConfig.useFastTransfer) {
-      const remoteCaps = await peer.waitForRemoteCaps({ timeoutMs: 1200 });
       const desired = getFastFileChannelCount();
       if (remoteCaps?.striping && desired > 1) streamCount = desired;
     }
 
-    const fileDcs = await peer.ensureFileTxChannels({ count: streamCount });
+    const fileDcs = await peer.ensureFileTxChannels({ count: streamCount, baseId: sid });
     if (signal.aborted) throw createAbortError();
     
     // UI Update: Sending Started (Metadata)
@@ -326,36 +453,114 @@ async function doSendFile(id) {
        ensureFileStatusEl(el);
     }
   
+    // Announce the batch once per connection so the receiver can group its files.
+    const batch = batches.get(fileBatchIds.get(id));
+    if (batch && batch.announcedTo !== peer) {
+      peer.send(JSON.stringify({ type: "batch-meta", id: batch.id, name: batch.name, count: batch.count, size: batch.size }));
+      batch.announcedTo = peer;
+    }
+
     // Send Meta
     peer.send(JSON.stringify({ 
-      type: 'file-meta', id, sid: peer.getFileTxId(), sc: streamCount, name: file.name, size: file.size 
+      type: 'file-meta', id, sid, sc: streamCount, name: file.name, size: file.size,
+      ...(batch ? { bid: batch.id, path: stagedFilePaths.get(id) || file.name } : {}),
+      ...(resume ? { resume: 1 } : {})
     }));
     const outState = outgoingTransfers.get(id);
     if (outState) outState.metaSent = true;
 
+    // Hash the whole file while the receiver decides; the digest follows the last chunk. If the
+    // hash isn't done by then, its progress shows here and goes to the receiver, which waits for it.
+    let hashPercent = -1;
+    let showHashProgress = false;
+    const reportHashProgress = () => {
+      if (!showHashProgress) return;
+      updateFileItemStatus(id, hashPercent >= 0 ? `Verifying... ${hashPercent}%` : "Verifying...");
+      if (hashPercent >= 0) {
+        try { peer.send(JSON.stringify({ type: "file-hash-progress", id, percent: hashPercent })); } catch {}
+      }
+    };
+    const onHashProgress = (bytes) => {
+      const percent = file.size ? Math.min(100, Math.floor((bytes / file.size) * 100)) : 100;
+      if (percent === hashPercent) return;
+      hashPercent = percent;
+      reportHashProgress();
+    };
+    const hashPromise = remoteCaps?.sha256 ? sha256Blob(file, { signal, onProgress: onHashProgress }) : null;
+    hashPromise?.catch(() => {});
+
     // Always wait for receiver to confirm and pick a save location before sending.
+    // When resuming, the receiver answers with the last contiguous offset it has written.
     if (el) {
       const status = ensureFileStatusEl(el);
-      if (status) status.textContent = "Waiting for the other side to accept...";
+      if (status) status.textContent = resume ? "Resuming..." : "Waiting for the other side to accept...";
+    }
+    const accept = await waitForFileAccept(id, 10 * 60 * 1000, { signal });
+    if (outState) {
+      outState.accepted = true;
+      const credit = Number(accept?.credit);
+      // Peers without flow control never send credit; keep the limit open for them.
+      outState.creditLimit = remoteCaps?.credit && Number.isFinite(credit) ? credit : Infinity;
+    }
+    if (prevSid) {
+      try { peer.closeFileChannelsByPrefix(prevSid); } catch {}
+    }
+
+    if (accept?.done) {
+      updateProgress(id, 1);
+      document.getElementById(`file-${id}`)?.querySelector?.(".btn-cancel")?.remove();
+      showHashProgress = true;
+      reportHashProgress();
+      confirmFileIntegrity(id, hashPromise ? await hashPromise : "", accept);
+      return;
+    }
+
+    const offset = Number(accept?.offset ?? 0);
+    const seq = Number(accept?.seq ?? 0);
+    if (!Number.isInteger(offset) || offset < 0 || offset > file.size || !Number.isInteger(seq) || seq < 0) {
+      throw new Error("Invalid resume position from the other side");
     }
-    await waitForFileAccept(id, 10 * 60 * 1000, { signal });
   
     // Send chunks
-    await sendFileChunks(id, fileDcs, signal);
-
-    if (waitAck) {
-      const status = document.getElementById(`file-${id}`)?.querySelector?.(".file-status-text");
-      if (status) status.textContent = "Waiting for confirmation...";
-      await waitForFileDone(id, 10 * 60 * 1000, { signal });
-      const doneStatus = document.getElementById(`file-${id}`)?.querySelector?.(".file-status-text");
-      if (doneStatus) doneStatus.textContent = "✅ Received";
+    await sendFileChunks(id, fileDcs, signal, { offset, seq });
+
+    let localHash = "";
+    if (hashPromise) {
+      showHashProgress = true;
+      reportHashProgress();
+      localHash = await hashPromise;
+      peer.send(JSON.stringify({ type: "file-hash", id, sha256: localHash }));
     }
+
+    updateFileItemStatus(id, "Waiting for confirmation...");
+    const done = await waitForFileDone(id, 10 * 60 * 1000, { signal });
+    confirmFileIntegrity(id, localHash, done);
   } finally {
     outgoingTransfers.delete(id);
+    // A transfer paused for resume keeps its channels until the resume closes them (prevSid).
+    if (pausedOutgoing.get(id)?.sid !== sid) {
+      try { peer?.closeFileChannelsByPrefix?.(sid); } catch {}
+    }
   }
 }
 
-window.startSend = async (id) => {
+const INTEGRITY_ERROR_NAME = "IntegrityError";
+
+// Compares our digest with the one the receiver computed over the bytes it wrote.
+function confirmFileIntegrity(id, localHash, info) {
+  const remoteHash = String(info?.sha256 ?? "").trim().toLowerCase();
+  if (localHash && remoteHash && localHash !== remoteHash) {
+    // startSend's catch keeps this apart from ordinary send failures.
+    const err = new Error("The received file doesn't match the original (SHA-256 mismatch).");
+    err.name = INTEGRITY_ERROR_NAME;
+    throw err;
+  }
+  stagedFiles.delete(id);
+  updateFileItemStatus(id, localHash && remoteHash ? "✅ Received · Verified" : "✅ Received (not verified)");
+  markBatchFileDone(id);
+}
+
+window.startSend = async (id, options) => {
   const file = stagedFiles.get(id);
   if (!file) return;
 
@@ -369,6 +574,12 @@ window.startSend = async (id) => {
     return;
   }
 
+  if (isSendBlockedBySas()) {
+    sasHeldSends.set(id, options);
+    updateFileItemStatus(id, "Waiting for you to confirm the security code...");
+    return;
+  }
+
   const el = document.getElementById(`file-${id}`);
   if (el) {
     const status = ensureFileStatusEl(el);
@@ -376,8 +587,12 @@ window.startSend = async (id) => {
   }
 
   try {
-    await enqueueOutgoingFile(id);
+    await enqueueOutgoingFile(id, options);
   } catch (err) {
+    if (pausedOutgoing.has(id)) {
+      updateFileItemStatus(id, "Connection lost. Will resume after reconnecting...");
+      return;
+    }
     if (isAbortError(err)) {
       const el = document.getElementById(`file-${id}`);
       if (el) {
@@ -390,7 +605,10 @@ window.startSend = async (id) => {
     const el = document.getElementById(`file-${id}`);
     if (el) {
       const status = ensureFileStatusEl(el);
-      if (status) status.textContent = "Send failed (you can retry)";
+      if (status) {
+        status.textContent =
+          err?.name === INTEGRITY_ERROR_NAME ? "❌ Verification failed (SHA-256 mismatch)" : "Send failed (you can retry)";
+      }
 
       let actionBtn = el.querySelector(".btn-action");
       if (!actionBtn) {
@@ -403,6 +621,10 @@ window.startSend = async (id) => {
       actionBtn.textContent = "Retry";
       actionBtn.style.display = "";
     }
+    if (fileBatchIds.has(id)) {
+      markBatchFileDone(id, false);
+      return;
+    }
     alert(`Failed to send file: ${err?.message ?? String(err)}`);
   }
 };
@@ -429,6 +651,17 @@ function cancelOutgoingFile(id, { notifyPeer = true, reason = "Canceled" } = {})
   const fileId = String(id ?? "").trim();
   if (!fileId) return;
 
+  // Interrupted by a connection drop, waiting to resume
+  if (pausedOutgoing.delete(fileId)) {
+    stagedFiles.delete(fileId);
+    if (notifyPeer && peer?.dc?.readyState === "open") {
+      try { peer.send(JSON.stringify({ type: "file-cancel", id: fileId, reason })); } catch {}
+    }
+    updateFileItemStatus(fileId, reason);
+    document.getElementById(`file-${fileId}`)?.querySelector(".btn-cancel")?.remove();
+    return;
+  }
+
   // Pending (not queued yet)
   if (!outgoingTransfers.has(fileId) && !outgoingQueuedIds.has(fileId)) {
     stagedFiles.delete(fileId);
@@ -461,7 +694,7 @@ function cancelOutgoingFile(id, { notifyPeer = true, reason = "Canceled" } = {})
     }
     try { rejectFileAccept(fileId, createAbortError(reason)); } catch {}
     try { state.controller.abort(createAbortError(reason)); } catch {}
-    try { peer?.resetFileTxChannel?.(); } catch {}
+    try { peer?.closeFileChannelsByPrefix?.(state.sid); } catch {}
     return;
   }
 
@@ -477,12 +710,17 @@ function cancelIncomingFile(id, { notifyPeer = true, reason = "Canceled" } = {})
   if (!state) return;
 
   state.cancelled = true;
+  state.hasher?.close();
   if (state.acceptResendTimer) {
     try { clearInterval(state.acceptResendTimer); } catch {}
     state.acceptResendTimer = 0;
   }
+  if (state.resumeTimer) {
+    clearTimeout(state.resumeTimer);
+    state.resumeTimer = 0;
+  }
   incomingFiles.delete(fileId);
-  if (peer?.receiving?.id === fileId) peer.receiving = null;
+  if (incomingStreams.get(state.streamId) === state) incomingStreams.delete(state.streamId);
 
   if (notifyPeer && peer?.dc?.readyState === "open") {
     try { peer.send(JSON.stringify({ type: "file-cancel", id: fileId, reason })); } catch {}
@@ -507,10 +745,24 @@ function cancelIncomingFile(id, { notifyPeer = true, reason = "Canceled" } = {})
   }
 }
 
+// A paused download keeps its file handle or download stream open; give up on it if the same
+// connection doesn't come back within this time.
+const INTERRUPTED_RECEIVE_TIMEOUT_MS = 2 * 60_000;
+
+// Transfers paused by a connection drop only resume on that same connection. Called when a new
+// flow replaces it, so partial downloads don't hang in the browser.
+function dropInterruptedTransfers() {
+  pausedOutgoing.clear();
+  dropSasHeldSends();
+  for (const [id, state] of Array.from(incomingFiles)) {
+    if (state.interrupted) cancelIncomingFile(id, { notifyPeer: false, reason: "Connection lost" });
+  }
+}
+
 window.cancelSend = (id) => cancelOutgoingFile(id, { notifyPeer: true, reason: "Canceled" });
 window.cancelReceive = (id) => cancelIncomingFile(id, { notifyPeer: true, reason: "Canceled" });
 
-async function sendFileChunks(id, fileDcs, signal) {
+async function sendFileChunks(id, fileDcs, signal, { offset: startOffset = 0, seq: startSeq = 0 } = {}) {
   const file = stagedFiles.get(id);
   if (!file) return;
   if (!peer?.dc || peer.dc.readyState !== "open") {
@@ -600,7 +852,7 @@ async function sendFileChunks(id, fileDcs, signal) {
   const statusEl = el?.querySelector?.(".file-status-text") || null;
   const speedStartAt = nowMs();
   let speedLastAt = speedStartAt;
-  let speedLastBytes = 0;
+  let speedLastBytes = startOffset;
   const updateSpeedText = (sentBytes) => {
     if (!statusEl) return;
     const now = nowMs();
@@ -643,24 +895,29 @@ async function sendFileChunks(id, fileDcs, signal) {
       if (status) status.textContent = "Sent";
       el.querySelector(".btn-cancel")?.remove();
     }
-    stagedFiles.delete(id);
     return;
   }
 
-  let offset = 0;
-  let seq = 0;
+  let offset = startOffset;
+  let seq = startSeq;
   let rrIndex = 0;
   const uiStep = webrtcConfig.useFastTransfer ? 4 * 1024 * 1024 : 2 * 1024 * 1024; // Update UI every ~2-4MB
-  let nextUiUpdateAt = uiStep;
+  let nextUiUpdateAt = offset + uiStep;
+  if (offset) updateProgress(id, offset / file.size);
 
   const yieldToMain = () => new Promise((resolve) => setTimeout(resolve, 0));
   const timeBudgetMs = webrtcConfig.useFastTransfer ? 180 : 32;
 
+  // Concurrent transfers split the send buffer budget so each gets a fair share of bandwidth.
+  const getShareHighWaterMark = () =>
+    Math.max(minHighWaterMark, Math.floor(highWaterMark / Math.max(1, activeChunkSenders)));
+
   const hasBackpressureEverywhere = () => {
     const open = getOpenChannels();
     if (!open.length) return null;
+    const high = getShareHighWaterMark();
     for (const dc of open) {
-      if (dc.bufferedAmount < highWaterMark) return false;
+      if (dc.bufferedAmount < high) return false;
     }
     return true;
   };
@@ -671,7 +928,7 @@ async function sendFileChunks(id, fileDcs, signal) {
       const idx = (rrIndex + i) % n;
       const dc = channels[idx];
       if (!dc || dc.readyState !== "open") continue;
-      if (dc.bufferedAmount < highWaterMark) {
+      if (dc.bufferedAmount < getShareHighWaterMark()) {
         rrIndex = (idx + 1) % n;
         return dc;
       }
@@ -679,6 +936,34 @@ async function sendFileChunks(id, fileDcs, signal) {
     return null;
   };
 
+  // Receiver-granted limit (absolute byte offset); Infinity when the peer doesn't do flow control.
+  const outState = outgoingTransfers.get(id);
+  const getCreditLimit = () => outState?.creditLimit ?? Infinity;
+  const waitForCredit = () =>
+    new Promise((resolve, reject) => {
+      const done = () => {
+        outState.creditWaiter = null;
+        clearInterval(timer);
+        signal?.removeEventListener?.("abort", onAbort);
+      };
+      const onAbort = () => {
+        done();
+        reject(createAbortError());
+      };
+      // Poll too, so a dropped control channel surfaces instead of waiting forever.
+      const timer = setInterval(() => {
+        if (peer?.dc?.readyState === "open") return;
+        done();
+        reject(new Error("Connection lost"));
+      }, 1000);
+      outState.creditWaiter = () => {
+        done();
+        resolve();
+      };
+      signal?.addEventListener?.("abort", onAbort, { once: true });
+    });
+
+  activeChunkSenders += 1;
   try {
     while (offset < file.size) {
       if (signal?.aborted) throw createAbortError();
@@ -688,10 +973,14 @@ async function sendFileChunks(id, fileDcs, signal) {
       if (!getOpenChannels().length) {
         throw new Error("File channel closed");
       }
+      if (offset >= getCreditLimit()) {
+        await waitForCredit();
+        continue;
+      }
 
       const allFull = hasBackpressureEverywhere();
       if (allFull) {
-        await waitForAnyBuffer(channels, { highWaterMark, lowWaterMark, signal });
+        await waitForAnyBuffer(channels, { highWaterMark: getShareHighWaterMark(), lowWaterMark, signal });
         continue;
       }
       if (allFull === null) throw new Error("File channel closed");
@@ -699,7 +988,7 @@ async function sendFileChunks(id, fileDcs, signal) {
       const deadline = nowMs() + timeBudgetMs;
       let hitBackpressure = false;
 
-      while (offset < file.size && nowMs() < deadline) {
+      while (offset < file.size && offset < getCreditLimit() && nowMs() < deadline) {
         if (signal?.aborted) throw createAbortError();
         if (!peer?.dc || peer.dc.readyState !== "open") {
           throw new Error("Connection lost");
@@ -748,7 +1037,7 @@ async function sendFileChunks(id, fileDcs, signal) {
 
       if (offset >= file.size) break;
       if (hitBackpressure) {
-        await waitForAnyBuffer(channels, { highWaterMark, lowWaterMark, signal });
+        await waitForAnyBuffer(channels, { highWaterMark: getShareHighWaterMark(), lowWaterMark, signal });
         continue;
       }
       await yieldToMain();
@@ -760,7 +1049,6 @@ async function sendFileChunks(id, fileDcs, signal) {
       if (status) status.textContent = "Sent";
       el.querySelector(".btn-cancel")?.remove();
     }
-    stagedFiles.delete(id);
   } catch (err) {
     if (!isAbortError(err)) console.error(err);
     if (el) {
@@ -768,15 +1056,20 @@ async function sendFileChunks(id, fileDcs, signal) {
       if (status) status.textContent = isAbortError(err) ? "Canceled" : "Transfer interrupted";
     }
     throw err;
+  } finally {
+    activeChunkSenders -= 1;
   }
 }
 
 // --- UI Logic (ViewManager) ---
 const app = document.getElementById("app-view-root");
+const settingsDialog = document.getElementById("settings-dialog");
 let peer = null;
-let signaling = new SignalingService(SUPABASE_URL, SUPABASE_KEY);
+let signaling = createSignalingService();
+signaling.onStateChange = (state, info) => updateSignalingStateUI(state, info);
 let currentRole = null; // 'sender' | 'receiver'
 let flowGeneration = 0;
+const MAX_ROOM_JOIN_STRIKES = 5; // extra join attempts a room tolerates before its code is retired
 
 // Some deployments enable strict CSP which blocks inline event handlers (onclick/oninput...).
 // Use delegated listeners so the UI remains interactive in those environments.
@@ -814,7 +1107,7 @@ document.addEventListener(
   "click",
   (e) => {
     if (!app) return;
-    const el = findActionElement(e, app);
+    const el = findActionElement(e, app) || (settingsDialog && findActionElement(e, settingsDialog));
     if (!el) return;
 
     const action = el.getAttribute("data-action");
@@ -827,9 +1120,78 @@ document.addEventListener(
           if (role === "sender" || role === "receiver") void window.startFlow?.(role);
           break;
         }
+        case "openNearby":
+          void window.openNearby?.();
+          break;
+        case "closeNearby":
+          window.closeNearby?.();
+          break;
+        case "inviteNearby": {
+          const peerId = el.getAttribute("data-peer");
+          if (peerId) void window.inviteNearby?.(peerId);
+          break;
+        }
+        case "answerNearbyInvite":
+          void window.answerNearbyInvite?.(el.getAttribute("data-accept") === "1");
+          break;
+        case "openNetworkTest":
+          void window.openNetworkTest?.();
+          break;
+        case "runNetworkTest":
+          void window.runNetworkTest?.();
+          break;
+        case "copyNetworkTest":
+          void window.copyNetworkTest?.(el);
+          break;
+        case "closeNetworkTest":
+          window.closeNetworkTest?.();
+          break;
+        case "openSettings":
+          window.openSettings?.();
+          break;
+        case "closeSettings":
+          window.closeSettings?.();
+          break;
+        case "saveSettings":
+          window.saveSettings?.();
+          break;
+        case "resetSettings":
+          window.resetSettingsToDefaults?.();
+          break;
+        case "exportSettings":
+          window.exportSettingsFile?.();
+          break;
+        case "importSettings":
+          document.getElementById("settings-import-input")?.click?.();
+          break;
+        case "newRoomCode":
+          void rotateSenderRoom("Here is a new code.");
+          break;
         case "connectCloud":
           void window.connectCloud?.();
           break;
+        case "startManualFlow": {
+          const role = el.getAttribute("data-role");
+          if (role === "sender" || role === "receiver") void window.startManualFlow?.(role);
+          break;
+        }
+        case "applyManualCode":
+          void window.applyManualCode?.();
+          break;
+        case "copyManualCode":
+          void window.copyManualCode?.(el);
+          break;
+        case "openLoopbackTab":
+          window.openLoopbackTab?.();
+          break;
+        case "copyJoinLink":
+          void window.copyJoinLink?.(el);
+          break;
+        case "openManualQrPicker": {
+          const input = document.getElementById("manual-qr-input");
+          input?.click?.();
+          break;
+        }
         case "clearAttachment":
           void window.clearAttachment?.();
           break;
@@ -838,12 +1200,20 @@ document.addEventListener(
           input?.click?.();
           break;
         }
+        case "openFolderPicker": {
+          const input = document.getElementById("hidden-folder-input");
+          input?.click?.();
+          break;
+        }
         case "handleSend":
           void window.handleSend?.();
           break;
         case "copyMessage":
           void window.copyMessage?.(el);
           break;
+        case "copyDiagnostics":
+          void window.copyDiagnostics?.(el);
+          break;
         case "startSend": {
           const id = el.getAttribute("data-file-id");
           if (id) void window.startSend?.(id);
@@ -864,6 +1234,32 @@ document.addEventListener(
           if (id) void window.acceptFile?.(id);
           break;
         }
+        case "startBatch": {
+          const id = el.getAttribute("data-batch-id");
+          if (id) void window.startBatch?.(id);
+          break;
+        }
+        case "acceptBatch": {
+          const id = el.getAttribute("data-batch-id");
+          if (id) void window.acceptBatch?.(id);
+          break;
+        }
+        case "cancelBatch": {
+          const id = el.getAttribute("data-batch-id");
+          if (id) void window.cancelBatch?.(id);
+          break;
+        }
+        case "confirmSas":
+          window.confirmSas?.();
+          break;
+        case "rejectSas":
+          window.rejectSas?.();
+          break;
+        case "toggleRequireSas":
+          window.setRequireSasConfirm?.(el.checked);
+          updateSasUI();
+          releaseSasHeldSends();
+          break;
         default:
           break;
       }
@@ -914,8 +1310,22 @@ document.addEventListener(
   (e) => {
     if (!app) return;
     const target = getEventTargetElement(e);
-    if (!target || !app.contains(target)) return;
-    if (target.id !== "hidden-file-input") return;
+    if (!target) return;
+    if (settingsDialog?.contains(target)) {
+      if (target.id === "settings-import-input") void window.importSettingsFile?.(target);
+      else if (target.dataset.toggles) toggleSettingsBox(target);
+      return;
+    }
+    if (!app.contains(target)) return;
+    if (target.id === "manual-qr-input") {
+      void window.loadManualQrImage?.(target);
+      return;
+    }
+    if (target.id === "nearby-name" || target.id === "nearby-group") {
+      window.updateNearbySettings?.();
+      return;
+    }
+    if (target.id !== "hidden-file-input" && target.id !== "hidden-folder-input") return;
 
     try {
       window.handleFileSelect?.(target);
@@ -935,6 +1345,8 @@ function formatConnStatus(status) {
       return { text: "● Connecting…", color: "var(--text-muted)" };
     case "peer-timeout":
       return { text: "● No response (network hiccup?)", color: "#ff9f43" };
+    case "reconnecting":
+      return { text: "● Reconnecting…", color: "#ff9f43" };
     case "disconnected":
     case "failed":
     case "closed":
@@ -1011,103 +1423,276 @@ async function getSelectedCandidatePairStats(pc) {
   return { pair: selectedPair, local, remote };
 }
 
+// --- Connection diagnostics ---
+// Sampled once a second while connected, so the charts already have history when the panel opens.
+const CONN_HISTORY_SIZE = 120;
+const CONN_CHART_COLORS = ["var(--primary)", "#ff9f43", "#6c8cff", "#ff6b6b", "#a78bfa", "var(--text-dim)"];
+const connHistory = []; // { at, sendBps, recvBps, rttMs, heartbeatRttMs, buffers: [{ id, bytes }] }, oldest first
 let connStatsTimer = 0;
 let connStatsUpdating = false;
+let connStatsPc = null; // the RTCPeerConnection connHistory belongs to
+let connStatsPrev = null; // { at, pairId, bytesSent, bytesReceived } of the previous sample
+
+function recordConnSample(s) {
+  const now = Date.now();
+  const pair = s?.pair;
+  const bytesSent = Number(pair?.bytesSent) || 0;
+  const bytesReceived = Number(pair?.bytesReceived) || 0;
+  let sendBps = 0;
+  let recvBps = 0;
+  // A new candidate pair (ICE restart, relay fallback) counts from zero again; skip that one step.
+  if (pair && connStatsPrev?.pairId === pair.id && now > connStatsPrev.at) {
+    const sec = (now - connStatsPrev.at) / 1000;
+    sendBps = (Math.max(0, bytesSent - connStatsPrev.bytesSent) * 8) / sec;
+    recvBps = (Math.max(0, bytesReceived - connStatsPrev.bytesReceived) * 8) / sec;
+  }
+  connStatsPrev = pair ? { at: now, pairId: pair.id, bytesSent, bytesReceived } : null;
+
+  const rtt = Number(pair?.currentRoundTripTime);
+  const buffers = [];
+  if (peer?.dc) buffers.push({ id: "ctrl", bytes: Number(peer.dc.bufferedAmount) || 0 });
+  for (const [id, dc] of peer?.fileChannels ?? []) buffers.push({ id, bytes: Number(dc.bufferedAmount) || 0 });
+
+  connHistory.push({
+    at: now,
+    sendBps,
+    recvBps,
+    rttMs: Number.isFinite(rtt) ? Math.round(rtt * 1000) : 0,
+    heartbeatRttMs: Number(peer?.heartbeatRttMs) || 0,
+    buffers,
+  });
+  if (connHistory.length > CONN_HISTORY_SIZE) connHistory.shift();
+}
 
-async function updateConnStatsUI() {
-  const summaryEl = document.getElementById("conn-summary");
-  const statsEl = document.getElementById("conn-stats");
-  if (!summaryEl || !statsEl) return;
-  const pc = peer?.pc;
-
-  if (!pc) {
-    summaryEl.textContent = "Connection details (not connected)";
-    statsEl.textContent = "-";
-    return;
+// Summary line and detail lines for the selected candidate pair (`s` from getSelectedCandidatePairStats).
+// `redactAddresses` leaves out both peers' IP addresses and ports (the path line keeps the
+// candidate types and protocol).
+function describeConnStats(s, { redactAddresses = false } = {}) {
+  const localType = String(s.local?.candidateType ?? "-");
+  const remoteType = String(s.remote?.candidateType ?? "-");
+  const protocol = String(s.local?.protocol ?? s.pair?.protocol ?? "-").toLowerCase();
+  const rttMs = Number.isFinite(Number(s.pair?.currentRoundTripTime))
+    ? Math.round(Number(s.pair.currentRoundTripTime) * 1000)
+    : 0;
+  const outBps = Number(s.pair?.availableOutgoingBitrate ?? 0);
+  const inBps = Number(s.pair?.availableIncomingBitrate ?? 0);
+
+  const pathShort = `${localType}/${protocol} ↔ ${remoteType}`;
+  const summary = `Connection details: ${pathShort}${rttMs ? ` (RTT ${rttMs}ms)` : ""}`;
+
+  const localAddr = String(s.local?.address ?? s.local?.ip ?? "");
+  const localPort = s.local?.port ? String(s.local.port) : "";
+  const remoteAddr = String(s.remote?.address ?? s.remote?.ip ?? "");
+  const remotePort = s.remote?.port ? String(s.remote.port) : "";
+
+  const lines = [];
+  lines.push(`Path: ${pathShort}  state=${String(s.pair?.state ?? "-")}`);
+  if (!redactAddresses && (localAddr || remoteAddr)) {
+    lines.push(
+      `Local:  ${localAddr}${localPort ? `:${localPort}` : ""}  |  Remote: ${remoteAddr}${remotePort ? `:${remotePort}` : ""}`
+    );
+  }
+  if (rttMs) lines.push(`RTT:   ${rttMs} ms`);
+  if (peer?.heartbeatRttMs) lines.push(`Ping:  ${peer.heartbeatRttMs} ms (heartbeat over the data channel)`);
+  if (outBps || inBps) {
+    const outText = outBps ? formatBitsPerSecond(outBps) : "-";
+    const inText = inBps ? formatBitsPerSecond(inBps) : "-";
+    lines.push(`BW:    ↑ ${outText}   ↓ ${inText}`);
   }
+  lines.push(`STUN:  ${webrtcConfig.useStun ? "on" : "off"}`);
+  const striping = Boolean(peer?.remoteCaps?.striping);
+  const txCh = webrtcConfig.useFastTransfer && striping ? getFastFileChannelCount() : 1;
+  lines.push(`Mode:  Fast=${webrtcConfig.useFastTransfer ? "on" : "off"}   Striping=${striping ? "on" : "off"}   TXch=${txCh}`);
+  const lanIp = normalizeLanIpOverride(webrtcConfig.lanIpOverride);
+  lines.push(
+    `LAN:   ${webrtcConfig.useLanIpOverride ? "on" : "off"}${
+      webrtcConfig.useLanIpOverride ? `   IP=${redactAddresses ? (lanIp ? "set" : "invalid") : lanIp || "invalid"}` : ""
+    }`
+  );
+  const turnOn = webrtcConfig.useTurn && (String(webrtcConfig.turnUrl ?? "").trim() || webrtcConfig.turnRestUrl);
+  lines.push(
+    `TURN:  ${turnOn ? "on" : "off"}${turnOn ? `   Relay=${webrtcConfig.forceTurnRelay ? "force" : "auto"}` : ""}${
+      turnOn && webrtcConfig.turnRestUrl ? "   Credentials=REST" : ""
+    }${peer?.relayFallback ? "   Fallback=relay" : ""}`
+  );
 
-  if (connStatsUpdating) return;
-  connStatsUpdating = true;
-  try {
-    const s = await getSelectedCandidatePairStats(pc);
-    if (!s) {
-      summaryEl.textContent = "Connection details (stats unavailable)";
-      statsEl.textContent = "-";
-      return;
+  const isDirectHost = localType === "host" && remoteType === "host" && protocol === "udp";
+  if (!isDirectHost) {
+    lines.push("");
+    if (protocol === "udp" && localType === "srflx" && remoteType === "srflx") {
+      lines.push(
+        "Hint: You're on srflx/udp (not a direct LAN path). RTT is usually higher, so very high throughput can be difficult."
+      );
+      lines.push(
+        "      If you're on the same Wi‑Fi: disable guest network/client isolation; or enable LAN IP override; otherwise consider using a LAN TURN relay."
+      );
+    } else {
+      lines.push("Hint: You're not on a direct host/udp path. VPNs, routers, and network policies may affect performance.");
     }
+  }
+  return { summary, lines };
+}
 
-    const localType = String(s.local?.candidateType ?? "-");
-    const remoteType = String(s.remote?.candidateType ?? "-");
-    const protocol = String(s.local?.protocol ?? s.pair?.protocol ?? "-").toLowerCase();
-    const rttMs = Number.isFinite(Number(s.pair?.currentRoundTripTime))
-      ? Math.round(Number(s.pair.currentRoundTripTime) * 1000)
-      : 0;
-    const outBps = Number(s.pair?.availableOutgoingBitrate ?? 0);
-    const inBps = Number(s.pair?.availableIncomingBitrate ?? 0);
+function resolveChartColor(el, color) {
+  const m = /^var\((--[\w-]+)\)$/.exec(color);
+  if (!m) return color;
+  return getComputedStyle(el).getPropertyValue(m[1]).trim() || "#94a3b8";
+}
 
-    const pathShort = `${localType}/${protocol} ↔ ${remoteType}`;
-    summaryEl.textContent = `Connection details: ${pathShort}${rttMs ? ` (RTT ${rttMs}ms)` : ""}`;
+// Line chart of the last CONN_HISTORY_SIZE samples, newest on the right; null/0 values leave gaps.
+function drawConnChart(canvas, series, formatValue) {
+  const ctx = canvas?.getContext?.("2d");
+  if (!ctx) return;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (!width || !height) return;
+  const dpr = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+  }
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const muted = resolveChartColor(canvas, "var(--text-dim)");
+  const max = Math.max(0, ...series.flatMap((s) => s.values.filter((v) => Number.isFinite(v) && v > 0)));
+  ctx.strokeStyle = muted;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, height - 0.5);
+  ctx.lineTo(width, height - 0.5);
+  ctx.stroke();
+  ctx.fillStyle = muted;
+  ctx.font = "10px system-ui, sans-serif";
+  ctx.textBaseline = "top";
+  ctx.fillText(max ? formatValue(max) : connHistory.length ? "idle" : "no data yet", 4, 2);
+  if (!max) return;
+
+  const top = 14;
+  const step = width / (CONN_HISTORY_SIZE - 1);
+  ctx.lineWidth = 1.5;
+  ctx.lineJoin = "round";
+  for (const s of series) {
+    ctx.strokeStyle = resolveChartColor(canvas, s.color);
+    ctx.beginPath();
+    let drawing = false;
+    s.values.forEach((v, i) => {
+      if (!Number.isFinite(v) || v <= 0) {
+        drawing = false;
+        return;
+      }
+      const x = width - (s.values.length - 1 - i) * step;
+      const y = height - 1 - (v / max) * (height - top - 1);
+      if (drawing) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+      drawing = true;
+    });
+    ctx.stroke();
+  }
+}
 
-    const localAddr = String(s.local?.address ?? s.local?.ip ?? "");
-    const localPort = s.local?.port ? String(s.local.port) : "";
-    const remoteAddr = String(s.remote?.address ?? s.remote?.ip ?? "");
-    const remotePort = s.remote?.port ? String(s.remote.port) : "";
+function renderConnLegend(el, series, formatValue) {
+  if (!el) return;
+  el.innerHTML = series
+    .map((s) => {
+      const last = s.values[s.values.length - 1];
+      const value = Number.isFinite(last) && last > 0 ? formatValue(last) : "-";
+      return `<span class="conn-legend-item"><i style="background:${s.color}"></i>${escapeHtml(s.label)} ${escapeHtml(value)}</span>`;
+    })
+    .join("");
+}
 
-    const lines = [];
-    lines.push(`Path: ${pathShort}  state=${String(s.pair?.state ?? "-")}`);
-    if (localAddr || remoteAddr) {
-      lines.push(
-        `Local:  ${localAddr}${localPort ? `:${localPort}` : ""}  |  Remote: ${remoteAddr}${remotePort ? `:${remotePort}` : ""}`
-      );
-    }
-    if (rttMs) lines.push(`RTT:   ${rttMs} ms`);
-    if (outBps || inBps) {
-      const outText = outBps ? formatBitsPerSecond(outBps) : "-";
-      const inText = inBps ? formatBitsPerSecond(inBps) : "-";
-      lines.push(`BW:    ↑ ${outText}   ↓ ${inText}`);
-    }
-    lines.push(`STUN:  ${webrtcConfig.useStun ? "on" : "off"}`);
-    const striping = Boolean(peer?.remoteCaps?.striping);
-    const txCh = webrtcConfig.useFastTransfer && striping ? getFastFileChannelCount() : 1;
-    lines.push(`Mode:  Fast=${webrtcConfig.useFastTransfer ? "on" : "off"}   Striping=${striping ? "on" : "off"}   TXch=${txCh}`);
-    const lanIp = normalizeLanIpOverride(webrtcConfig.lanIpOverride);
-    lines.push(
-      `LAN:   ${webrtcConfig.useLanIpOverride ? "on" : "off"}${
-        webrtcConfig.useLanIpOverride ? `   IP=${lanIp || "invalid"}` : ""
-      }`
-    );
-    const turnOn = webrtcConfig.useTurn && String(webrtcConfig.turnUrl ?? "").trim();
-    lines.push(
-      `TURN:  ${turnOn ? "on" : "off"}${turnOn ? `   Relay=${webrtcConfig.forceTurnRelay ? "force" : "auto"}` : ""}`
-    );
+function getConnChartSeries() {
+  const throughput = [
+    { label: "↑ Send", color: CONN_CHART_COLORS[0], values: connHistory.map((h) => h.sendBps) },
+    { label: "↓ Receive", color: CONN_CHART_COLORS[1], values: connHistory.map((h) => h.recvBps) },
+  ];
+  const rtt = [
+    { label: "ICE RTT", color: CONN_CHART_COLORS[0], values: connHistory.map((h) => h.rttMs) },
+    { label: "Heartbeat", color: CONN_CHART_COLORS[1], values: connHistory.map((h) => h.heartbeatRttMs) },
+  ];
+  // One line per channel seen in the window; channels come and go with transfers.
+  const ids = [];
+  for (const h of connHistory) {
+    for (const b of h.buffers) if (!ids.includes(b.id)) ids.push(b.id);
+  }
+  const buffers = ids.map((id, i) => ({
+    label: id,
+    color: CONN_CHART_COLORS[i % CONN_CHART_COLORS.length],
+    values: connHistory.map((h) => h.buffers.find((b) => b.id === id)?.bytes ?? null),
+  }));
+  return { throughput, rtt, buffers };
+}
 
-    const isDirectHost = localType === "host" && remoteType === "host" && protocol === "udp";
-    if (!isDirectHost) {
-      lines.push("");
-      if (protocol === "udp" && localType === "srflx" && remoteType === "srflx") {
-        lines.push(
-          "Hint: You're on srflx/udp (not a direct LAN path). RTT is usually higher, so very high throughput can be difficult."
-        );
-        lines.push(
-          "      If you're on the same Wi‑Fi: disable guest network/client isolation; or enable LAN IP override; otherwise consider using a LAN TURN relay."
-        );
-      } else {
-        lines.push("Hint: You're not on a direct host/udp path. VPNs, routers, and network policies may affect performance.");
-      }
-    }
+function renderConnCharts() {
+  const panel = document.getElementById("conn-diagnostics");
+  if (!panel?.open) return;
+  const { throughput, rtt, buffers } = getConnChartSeries();
+  const formatMs = (v) => `${Math.round(v)} ms`;
+  drawConnChart(document.getElementById("conn-chart-throughput"), throughput, formatBitsPerSecond);
+  renderConnLegend(document.getElementById("conn-legend-throughput"), throughput, formatBitsPerSecond);
+  drawConnChart(document.getElementById("conn-chart-rtt"), rtt, formatMs);
+  renderConnLegend(document.getElementById("conn-legend-rtt"), rtt, formatMs);
+  drawConnChart(document.getElementById("conn-chart-buffer"), buffers, formatBytes);
+  // Idle channels sit at 0 B; only list the ones holding data so the legend stays short.
+  const busy = buffers.filter((s) => s.values[s.values.length - 1] > 0);
+  renderConnLegend(document.getElementById("conn-legend-buffer"), busy.length ? busy : buffers.slice(0, 1), formatBytes);
+}
 
-    statsEl.textContent = lines.join("\n");
+async function updateConnStatsUI() {
+  const pc = peer?.pc;
+  // A new flow replaced the connection without reporting "closed"; it starts its own sampler.
+  if (!pc || pc !== connStatsPc) {
+    stopConnStats();
+    const summaryEl = document.getElementById("conn-summary");
+    const statsEl = document.getElementById("conn-stats");
+    if (summaryEl) summaryEl.textContent = "Connection details (not connected)";
+    if (statsEl) statsEl.textContent = "-";
+    return;
+  }
+
+  if (connStatsUpdating) return;
+  connStatsUpdating = true;
+  let s = null;
+  let error = null;
+  try {
+    s = await getSelectedCandidatePairStats(pc);
   } catch (err) {
-    summaryEl.textContent = "Connection details (failed to read)";
-    statsEl.textContent = `Error: ${err?.message ?? String(err)}`;
+    error = err;
   } finally {
     connStatsUpdating = false;
   }
+  if (pc !== peer?.pc) return;
+  recordConnSample(s);
+
+  const summaryEl = document.getElementById("conn-summary");
+  const statsEl = document.getElementById("conn-stats");
+  if (!summaryEl || !statsEl) return;
+  if (error) {
+    summaryEl.textContent = "Connection details (failed to read)";
+    statsEl.textContent = `Error: ${error?.message ?? String(error)}`;
+  } else if (!s) {
+    summaryEl.textContent = "Connection details (stats unavailable)";
+    statsEl.textContent = "-";
+  } else {
+    const { summary, lines } = describeConnStats(s);
+    summaryEl.textContent = summary;
+    statsEl.textContent = lines.join("\n");
+  }
+  renderConnCharts();
 }
 
 function startConnStats() {
+  const pc = peer?.pc;
+  if (!pc) return;
+  // "connected" is reported again after a heartbeat timeout; keep the running sampler then.
+  if (connStatsTimer && connStatsPc === pc) return;
   stopConnStats();
-  if (!peer?.pc) return;
+  if (connStatsPc !== pc) {
+    connHistory.length = 0;
+    connStatsPrev = null;
+    connStatsPc = pc;
+  }
   void updateConnStatsUI();
   connStatsTimer = setInterval(() => void updateConnStatsUI(), 1000);
 }
@@ -1120,6 +1705,52 @@ function stopConnStats() {
   connStatsUpdating = false;
 }
 
+// Plain-text report for bug reports. Leaves out room codes, TURN credentials and IP addresses.
+function buildDiagnosticsReport(s) {
+  const pc = peer?.pc;
+  const lines = [];
+  lines.push(`share-file.online diagnostics, ${new Date().toISOString()}`);
+  lines.push(`Browser: ${navigator.userAgent}`);
+  lines.push(
+    `State: pc=${pc?.connectionState ?? "-"} ice=${pc?.iceConnectionState ?? "-"} ctrl=${peer?.dc?.readyState ?? "-"} signaling=${signaling?.state ?? "-"}`
+  );
+  lines.push("");
+  if (s) lines.push(...describeConnStats(s, { redactAddresses: true }).lines);
+  else lines.push(pc ? "Connection details: stats unavailable" : "Connection details: not connected");
+
+  const channels = [];
+  if (peer?.dc) channels.push(`ctrl ${peer.dc.readyState} ${formatBytes(peer.dc.bufferedAmount || 0)}`);
+  for (const [id, dc] of peer?.fileChannels ?? []) channels.push(`${id} ${dc.readyState} ${formatBytes(dc.bufferedAmount || 0)}`);
+  lines.push("");
+  lines.push(`Channels (buffered): ${channels.length ? channels.join(", ") : "-"}`);
+
+  if (connHistory.length) {
+    const newest = connHistory[connHistory.length - 1].at;
+    const cell = (text, width) => String(text).padEnd(width);
+    lines.push("");
+    lines.push(`History, one sample per second (last ${connHistory.length}):`);
+    lines.push(`${cell("t", 6)}${cell("send", 12)}${cell("receive", 12)}${cell("rtt", 8)}${cell("ping", 8)}buffered`);
+    for (const h of connHistory) {
+      const buffered = h.buffers.reduce((sum, b) => sum + b.bytes, 0);
+      lines.push(
+        `${cell(`-${Math.round((newest - h.at) / 1000)}s`, 6)}${cell(formatBitsPerSecond(h.sendBps), 12)}${cell(
+          formatBitsPerSecond(h.recvBps),
+          12
+        )}${cell(h.rttMs ? `${h.rttMs}ms` : "-", 8)}${cell(h.heartbeatRttMs ? `${h.heartbeatRttMs}ms` : "-", 8)}${formatBytes(buffered)}`
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+window.copyDiagnostics = async (btn) => {
+  let s = null;
+  try {
+    s = await getSelectedCandidatePairStats(peer?.pc);
+  } catch {}
+  await copyWithFeedback(btn, buildDiagnosticsReport(s));
+};
+
 function renderFaqSection() {
   const intro = Array.isArray(FAQ_INTRO) ? FAQ_INTRO : [];
   const items = Array.isArray(FAQ_ITEMS) ? FAQ_ITEMS : [];
@@ -1183,6 +1814,14 @@ const Views = {
           <div class="role-label">I'm receiving</div>
         </button>
       </div>
+      ${isSignalingConfigured() ? `
+        <div style="text-align:center; margin-top:20px">
+          <button type="button" class="btn" style="width:auto; padding:8px 20px; font-size:14px" data-action="openNearby">📡 Nearby devices — pair without a code</button>
+        </div>
+      ` : ""}
+      <div style="text-align:center; margin-top:12px">
+        <button type="button" class="btn" style="width:auto; padding:4px 12px; font-size:12px" data-action="openNetworkTest">🩺 Test my network</button>
+      </div>
     </section>
   `),
 
@@ -1195,73 +1834,230 @@ const Views = {
       
       <!-- CLOUD MODE UI -->
       <div id="mode-cloud" style="display:block">
+        ${data.isConfigured && !data.isRemoteConfigured ? `
+           <div class="inline-alert" role="note" aria-label="Local signaling only">
+             <p style="font-size:13px; margin:0">No signaling server is configured, so codes only work between tabs of this browser. Use manual pairing below for another device.</p>
+           </div>
+        ` : ''}
+
         ${!data.isConfigured ? `
            <div class="inline-alert" role="note" aria-label="Setup required">
              <h3>⚠️ Backend not configured</h3>
-             <p style="font-size:13px; margin:0">Set <code>VITE_SUPABASE_URL</code> and <code>VITE_SUPABASE_KEY</code> in <code>.env</code> to enable signaling.</p>
+             <p style="font-size:13px; margin:0">Set <code>VITE_SUPABASE_URL</code> and <code>VITE_SUPABASE_KEY</code> (or <code>VITE_SIGNALING_URL</code> for a self-hosted relay) in <code>.env</code> to enable signaling, or pair manually below.</p>
            </div>
         ` : ''}
 
         ${data.isConfigured ? `
            ${data.isSender ? `
-              <div class="code-display">
-                <span class="code-digit">${data.cloudCode ? data.cloudCode.slice(0,3) : '...'}</span>
-                <span class="code-sep">-</span>
-                <span class="code-digit">${data.cloudCode ? data.cloudCode.slice(3) : '...'}</span>
+              <div class="code-display${data.cloudCode && !isDigitInput(data.cloudCode) ? " words" : ""}" id="room-code-display">
+                ${data.cloudCode ? renderRoomCodeParts(data.cloudCode) : '<span class="code-digit">...</span>'}
+              </div>
+              <div class="code-expiry-row">
+                <span id="code-expiry" class="code-expiry" aria-live="off"></span>
+                <button type="button" class="btn" style="width:auto; padding:4px 12px; font-size:12px" data-action="newRoomCode">New code</button>
               </div>
-              <p style="text-align:center; font-size:13px; color:var(--text-muted); margin-top:8px">Ask the receiver to enter this 6-digit code</p>
+              <p style="text-align:center; font-size:13px; color:var(--text-muted); margin-top:8px" id="room-code-hint">${getRoomCodeHint(data.cloudCode)}</p>
+              ${data.cloudCode ? `
+                <div class="join-link-box">
+                  <img id="join-qr" class="manual-qr join-qr" alt="QR code of the join link" style="display:none">
+                  <div class="join-link-row">
+                    <code id="join-link-text" class="join-link-text">${escapeHtml(getJoinLink(data.cloudCode))}</code>
+                    <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="copyJoinLink">Copy link</button>
+                  </div>
+                  <p style="font-size:12px; color:var(--text-muted); margin:0">…or send this link / scan the QR code to join directly</p>
+                  ${hasBroadcastChannel() ? `
+                    <button type="button" class="btn" style="width:auto; padding:4px 12px; font-size:12px" data-action="openLoopbackTab">Receive in a new tab of this browser (loopback test)</button>
+                  ` : ""}
+                </div>
+              ` : ""}
               <div style="text-align:center; margin-top:16px; min-height:20px" id="cloud-status">Waiting for the receiver to join...</div>
+              <div id="room-occupancy" class="room-occupancy" aria-live="polite"></div>
 	           ` : `
 	              <div class="code-input-container">
-	                 <input type="tel" id="cloud-code-input" class="code-input" placeholder="Enter the 6-digit code" maxlength="6" autocomplete="off">
+	                 <input type="text" id="cloud-code-input" class="code-input" inputmode="${ROOM_CODE_FORMAT === "words" ? "text" : "numeric"}" placeholder="${ROOM_CODE_FORMAT === "words" ? "e.g. plum-river-seven" : "Enter the 6-digit code"}" maxlength="64" autocomplete="off" autocapitalize="off" spellcheck="false" list="cloud-code-words">
+	                 <datalist id="cloud-code-words"></datalist>
 	                 <button type="button" class="btn btn-primary" id="btn-cloud-connect" data-action="connectCloud" disabled>Connect</button>
 	              </div>
-	              <p style="text-align:center; font-size:13px; color:var(--text-muted); margin-top:8px">Enter the code shown on the sender’s screen</p>
+	              <p style="text-align:center; font-size:13px; color:var(--text-muted); margin-top:8px" id="cloud-code-hint">Enter the code shown on the sender’s screen</p>
+	              <div id="room-occupancy" class="room-occupancy" aria-live="polite"></div>
 	           `}
 	        ` : ''}
       </div>
 
+      <div style="text-align:center; margin-top:16px">
+        <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="startManualFlow" data-role="${data.isSender ? "sender" : "receiver"}">
+          No server? Pair manually with codes or QR
+        </button>
+      </div>
+      <div style="text-align:center; margin-top:8px">
+        <button type="button" class="btn" style="width:auto; padding:4px 12px; font-size:12px" data-action="openNetworkTest">Not connecting? Test my network</button>
+      </div>
+
       <div style="margin-top:24px; text-align:left; font-size:12px; color:var(--text-muted); border-top:1px solid var(--glass-border); padding-top:12px">
         Status: <span id="status-badge">Waiting...</span>
+        ${data.isConfigured ? `<div>Signaling: <span id="signaling-state" style="color:${formatSignalingState(signaling.state).color}">${formatSignalingState(signaling.state).text}</span></div>` : ""}
       </div>
     </section>
   `),
 
-  // 4. Transfer Interface
-	  transfer: () =>
-      renderViewPage(`
-	    <section>
-	      <div class="transfer-header">
-	        <h2>Send &amp; Receive</h2>
-	        <div id="conn-status" style="color:var(--text-muted); font-size:14px">● Connecting…</div>
-	      </div>
+  // Nearby: devices on the same network (or with the same group name) see each other and pair by tapping.
+  nearby: () =>
+    renderViewPage(`
+    <section>
+      <h2 id="step-title">Nearby devices</h2>
+      <p id="step-desc">Open this page on the other device too, then tap it below. Either side can start.</p>
+
+      <div class="nearby-settings">
+        <label>
+          <span>Your name</span>
+          <input type="text" id="nearby-name" maxlength="40" autocomplete="off" placeholder="${escapeHtml(getDefaultDeviceName())}" value="${escapeHtml(webrtcConfig.nearbyName)}">
+        </label>
+        <label>
+          <span>Group (optional)</span>
+          <input type="text" id="nearby-group" maxlength="64" autocomplete="off" autocapitalize="off" spellcheck="false" placeholder="Same network" value="${escapeHtml(webrtcConfig.nearbyGroup)}">
+        </label>
+      </div>
 
-              <div class="transfer-container">
-		      <div class="transfer-list" id="transfer-list">
-		        <!-- Files/Text go here -->
-		      </div>
-              
-              <div class="transfer-divider"></div>
+      <p style="margin:8px 0 0; font-size:12px; color:var(--text-muted)">Without a group, everyone sharing your public IP address (the same Wi‑Fi, office or mobile carrier) sees your name here.</p>
 
-       <!-- Combined Input Area -->
-       <div id="transfer-input-area">
-          <!-- Attachment Preview -->
-           <div id="attachment-preview" style="display:none; margin-bottom: 12px; padding: 8px; background: var(--surface-muted); border: 1px solid var(--glass-border); border-radius: 8px; align-items: center; justify-content: space-between;">
-              <div style="display:flex; align-items:center; gap:8px; overflow:hidden;">
-                  <span style="font-size:20px">📄</span>
-                  <span id="attachment-name" style="font-size:13px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis"></span>
-              </div>
-              <button type="button" data-action="clearAttachment" style="background:none; border:none; color: var(--error); cursor: pointer; padding:4px 8px; font-size:16px">✕</button>
-           </div>
+      <div id="nearby-invite" class="nearby-invite" style="display:none" role="alertdialog" aria-live="assertive"></div>
+      <div id="nearby-list" class="nearby-list" aria-live="polite"></div>
+      <div style="text-align:center; margin-top:16px; min-height:20px; font-size:13px; color:var(--text-muted)" id="nearby-status">Looking for your network…</div>
 
-           <textarea id="msg-input" class="chat-input" placeholder="Type a message..."></textarea>
+      <div style="text-align:center; margin-top:16px">
+        <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="closeNearby">Back</button>
+      </div>
+    </section>
+  `),
+
+  // Network test: which connection paths this browser can use with the current ICE settings.
+  nettest: () =>
+    renderViewPage(`
+    <section>
+      <h2>Test my network</h2>
+      <p>Checks which connection paths this browser can use with the current settings. Only the configured STUN and TURN servers are contacted.</p>
+
+      <div id="nettest-status" class="nettest-status" aria-live="polite">Testing…</div>
+      <dl id="nettest-results" class="nettest-results"></dl>
+      <ul id="nettest-advice" class="nettest-advice"></ul>
+
+      <div class="nettest-actions">
+        <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="runNetworkTest" id="nettest-run" disabled>Test again</button>
+        <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="copyNetworkTest" id="nettest-copy" disabled>Copy results</button>
+        <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="openSettings">⚙️ Settings</button>
+        <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="closeNetworkTest">Back</button>
+      </div>
+    </section>
+  `),
+
+  // Manual pairing: offer/answer codes exchanged by hand (text or QR), no signaling server.
+  manual: (data) =>
+    renderViewPage(`
+    <section>
+      <h2 id="step-title">Manual pairing</h2>
+      <p id="step-desc">${
+        data.isSender
+          ? "Show this code to the receiver, then enter the reply code they get back."
+          : "Enter the sender's code (paste it or load a photo of its QR), then show your reply code to the sender."
+      }</p>
+
+      ${data.isSender ? `
+        <div class="manual-step">
+          <h3>1. Your connection code</h3>
+          <div id="manual-local-box" class="manual-local-box">
+            <img id="manual-qr" class="manual-qr" alt="QR code of the connection code" style="display:none">
+            <textarea id="manual-local-code" class="manual-code" readonly>Generating...</textarea>
+            <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="copyManualCode">Copy code</button>
+          </div>
+        </div>
+        <div class="manual-step">
+          <h3>2. Receiver's reply code</h3>
+          ${renderManualInput("Paste the reply code", "Connect")}
+        </div>
+      ` : `
+        <div class="manual-step">
+          <h3>1. Sender's code</h3>
+          ${renderManualInput("Paste the sender's code", "Create reply")}
+        </div>
+        <div class="manual-step">
+          <h3>2. Your reply code</h3>
+          <div id="manual-local-box" class="manual-local-box" style="display:none">
+            <img id="manual-qr" class="manual-qr" alt="QR code of the reply code" style="display:none">
+            <textarea id="manual-local-code" class="manual-code" readonly></textarea>
+            <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="copyManualCode">Copy code</button>
+          </div>
+        </div>
+      `}
+
+      <div style="margin-top:24px; text-align:left; font-size:12px; color:var(--text-muted); border-top:1px solid var(--glass-border); padding-top:12px">
+        Status: <span id="status-badge">Waiting...</span>
+      </div>
+    </section>
+  `),
+
+  // 4. Transfer Interface
+	  transfer: () =>
+      renderViewPage(`
+	    <section>
+	      <div class="transfer-header">
+	        <h2>Send &amp; Receive</h2>
+	        <div id="conn-status" style="color:var(--text-muted); font-size:14px">● Connecting…</div>
+	      </div>
+	      <div id="relay-notice" class="relay-notice" role="note" style="display:none"></div>
+	      <div id="sas-box" class="sas-box" style="display:none"></div>
+	      <details id="conn-diagnostics" class="conn-diagnostics">
+	        <summary id="conn-summary">Connection details</summary>
+	        <div class="conn-charts">
+	          <div class="conn-chart">
+	            <div class="conn-chart-title">Throughput</div>
+	            <canvas id="conn-chart-throughput"></canvas>
+	            <div id="conn-legend-throughput" class="conn-legend"></div>
+	          </div>
+	          <div class="conn-chart">
+	            <div class="conn-chart-title">Round trip</div>
+	            <canvas id="conn-chart-rtt"></canvas>
+	            <div id="conn-legend-rtt" class="conn-legend"></div>
+	          </div>
+	          <div class="conn-chart">
+	            <div class="conn-chart-title">Buffered per channel</div>
+	            <canvas id="conn-chart-buffer"></canvas>
+	            <div id="conn-legend-buffer" class="conn-legend"></div>
+	          </div>
+	        </div>
+	        <pre id="conn-stats" class="conn-stats">-</pre>
+	        <div class="conn-diagnostics-actions">
+	          <button type="button" class="btn" style="width:auto; padding:4px 12px; font-size:12px" data-action="copyDiagnostics">Copy diagnostics</button>
+	        </div>
+	      </details>
+
+              <div class="transfer-container">
+		      <div class="transfer-list" id="transfer-list">
+		        <!-- Files/Text go here -->
+		      </div>
+              
+              <div class="transfer-divider"></div>
+
+       <!-- Combined Input Area -->
+       <div id="transfer-input-area">
+          <!-- Attachment Preview -->
+           <div id="attachment-preview" style="display:none; margin-bottom: 12px; padding: 8px; background: var(--surface-muted); border: 1px solid var(--glass-border); border-radius: 8px; align-items: center; justify-content: space-between;">
+              <div style="display:flex; align-items:center; gap:8px; overflow:hidden;">
+                  <span style="font-size:20px">📄</span>
+                  <span id="attachment-name" style="font-size:13px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis"></span>
+              </div>
+              <button type="button" data-action="clearAttachment" style="background:none; border:none; color: var(--error); cursor: pointer; padding:4px 8px; font-size:16px">✕</button>
+           </div>
+
+           <textarea id="msg-input" class="chat-input" placeholder="Type a message..."></textarea>
            
            <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 12px;">
               <div>
-                  <button type="button" class="btn" style="width: auto; padding: 8px 16px; font-size: 13px;" data-action="openFilePicker">📂 Choose file</button>
+                  <button type="button" class="btn" style="width: auto; padding: 8px 16px; font-size: 13px;" data-action="openFilePicker">📂 Choose files</button>
+                  <button type="button" class="btn" style="width: auto; padding: 8px 16px; font-size: 13px;" data-action="openFolderPicker">🗂️ Choose folder</button>
                   <span id="file-count-label" style="font-size:12px; color:var(--text-muted); margin-left:8px; display:none"></span>
               </div>
-              <input type="file" id="hidden-file-input" style="display:none">
+              <input type="file" id="hidden-file-input" style="display:none" multiple>
+              <input type="file" id="hidden-folder-input" style="display:none" webkitdirectory>
               
               <button type="button" class="btn btn-primary" style="width: auto; padding: 8px 24px" data-action="handleSend">Send</button>
            </div>
@@ -1312,6 +2108,8 @@ function scheduleEnterCleanup(el) {
 
 window.router = (viewName, data = {}) => {
   if (!app) return;
+  // Leaving the Nearby view (for any reason) takes this device out of the lobby.
+  if (viewName !== "nearby") stopNearby();
 
   if (transitionTimer) {
     clearTimeout(transitionTimer);
@@ -1396,16 +2194,19 @@ window.router = (viewName, data = {}) => {
   }, delay);
 };
 
-window.startFlow = async (role) => {
+// `requireSas` holds file sending until the SAS is confirmed whatever the setting says.
+window.startFlow = async (role, { code = "", requireSas = false } = {}) => {
   const myGen = ++flowGeneration;
   currentRole = role;
+  sasRequiredForFlow = requireSas;
   try { peer?.close?.(); } catch {}
+  dropInterruptedTransfers();
   peer = new PeerClient(onPeerStatus, onPeerData);
   currentOfferSignal = "";
   
   if (role === 'sender') {
     // Sender flow
-    const cloudCode = generateRoomCode();
+    const cloudCode = code || generateRoomCode();
     currentCloudRoomCode = cloudCode;
 
     router('connect', { 
@@ -1413,11 +2214,13 @@ window.startFlow = async (role) => {
       desc: "Your code is ready",
       isSender: true,
       cloudCode,
-      isConfigured: isSupabaseConfigured()
+      isConfigured: isSignalingConfigured(),
+      isRemoteConfigured: isRemoteSignalingConfigured()
     });
 
     // Initialize Cloud Signaling
     setupSenderSignaling();
+    startCodeExpiry();
     
     // Auto-confirm logic is handled by signaling/WebRTC directly now.
     // Legacy manualInputCallback is removed as we depend on Cloud Signaling.
@@ -1426,20 +2229,7 @@ window.startFlow = async (role) => {
     await afterPaint(2);
     if (flowGeneration !== myGen) return;
     
-    try {
-      const code = await peer.createOffer();
-      if (flowGeneration !== myGen) return;
-      
-      // Store for cloud signaling
-      currentOfferSignal = code;
-      trySendOfferSignal(); // Try sending immediately if joined
-
-      // Safe update
-      if(currentRole === 'sender') {
-          // No UI update needed for code display, as cloud connection handles it.
-          // We just wait for WebRTC 'connected' state.
-      }
-    } catch(e) { console.error(e); }
+    await createSenderOffer(myGen);
 
   } else {
     currentCloudRoomCode = "";
@@ -1448,7 +2238,8 @@ window.startFlow = async (role) => {
       title: "Connecting",
       desc: "Enter the code to connect",
       isSender: false,
-      isConfigured: isSupabaseConfigured()
+      isConfigured: isSignalingConfigured(),
+      isRemoteConfigured: isRemoteSignalingConfigured()
     });
     
     // Receiver waits for user input to connect cloud
@@ -1459,28 +2250,66 @@ window.startFlow = async (role) => {
   }
 };
 
+async function createSenderOffer(myGen) {
+  try {
+    peer.onLocalCandidate = (candidate) => sendIceSignal(candidate);
+    // ICE restarts after a network change are renegotiated through the same room.
+    peer.onRenegotiate = (restartCode) => {
+      if (signaling?.isConnected) void signaling.send(JSON.stringify({ type: "signal", content: restartCode, restart: 1 }));
+    };
+    peer.onRelayFallback = () => {
+      const statusEl = document.getElementById("cloud-status");
+      if (statusEl) statusEl.textContent = "No direct path on this network. Connecting through the relay server instead...";
+    };
+    const code = await peer.createOffer({ trickle: true });
+    if (flowGeneration !== myGen) return;
+
+    // Store for cloud signaling
+    currentOfferSignal = code;
+    trySendOfferSignal(); // Try sending immediately if joined
+    // No UI update needed for code display; we just wait for the WebRTC 'connected' state.
+  } catch(e) { console.error(e); }
+}
+
 // --- Global State for Input ---
-let pendingAttachment = null;
+let pendingAttachments = []; // [{ file, path }]
 
 window.handleFileSelect = (input) => {
-    if (input.files && input.files[0]) {
-        pendingAttachment = input.files[0];
+    const files = Array.from(input.files || []);
+    if (files.length) {
+        // Folder picks carry "folder/sub/file.ext"; plain picks only have the name.
+        pendingAttachments = files.map((file) => ({ file, path: file.webkitRelativePath || file.name }));
         
         // Update Preview
         const preview = document.getElementById('attachment-preview');
         const nameEl = document.getElementById('attachment-name');
         if (preview && nameEl) {
             preview.style.display = 'flex';
-            nameEl.textContent = pendingAttachment.name;
+            nameEl.textContent = describeAttachments(pendingAttachments);
         }
-        
-        // Reset input so same file selection triggers change again if needed
-        input.value = ''; 
     }
+    
+    // Reset input so same file selection triggers change again if needed
+    input.value = ''; 
 };
 
+function describeAttachments(items) {
+    if (items.length === 1 && !items[0].path.includes('/')) return items[0].file.name;
+    const size = items.reduce((sum, it) => sum + (it.file.size || 0), 0);
+    const folder = getBatchRootName(items);
+    const label = folder || `${items.length} files`;
+    return `${label} (${items.length} files, ${formatBytes(size)})`;
+}
+
+// Folder picks share a top-level directory; use it as the batch name.
+function getBatchRootName(items) {
+    const roots = new Set(items.map((it) => (it.path.includes('/') ? it.path.split('/')[0] : '')));
+    if (roots.size !== 1) return '';
+    return Array.from(roots)[0];
+}
+
 window.clearAttachment = () => {
-    pendingAttachment = null;
+    pendingAttachments = [];
     const preview = document.getElementById('attachment-preview');
     if (preview) preview.style.display = 'none';
 };
@@ -1488,7 +2317,7 @@ window.clearAttachment = () => {
 window.handleSend = async () => {
     const textEl = document.getElementById('msg-input');
     const text = textEl ? textEl.value.trim() : '';
-    const hadAttachment = Boolean(pendingAttachment);
+    const hadAttachment = pendingAttachments.length > 0;
     const isConnected = peer?.dc?.readyState === "open";
 
     // 1. Send Text if exists
@@ -1502,9 +2331,9 @@ window.handleSend = async () => {
         }
     }
 
-    // 2. Send File if exists
-    if (pendingAttachment) {
-        const file = pendingAttachment;
+    // 2. Send Files if any
+    if (pendingAttachments.length === 1 && !pendingAttachments[0].path.includes('/')) {
+        const file = pendingAttachments[0].file;
         const id = Math.random().toString(36).slice(2);
         
         stagedFiles.set(id, file);
@@ -1517,6 +2346,10 @@ window.handleSend = async () => {
             // Trigger send (async; don't block UI)
             void startSend(id);
         }
+    } else if (pendingAttachments.length) {
+        const items = pendingAttachments;
+        clearAttachment();
+        stageOutgoingBatch(items, isConnected);
     }
     
     if (!text && !hadAttachment) {
@@ -1524,24 +2357,146 @@ window.handleSend = async () => {
     }
 };
 
-window.copyMessage = async (btn) => {
-  const bubble = btn?.parentElement?.querySelector?.(".msg-bubble");
-  const text = bubble?.textContent ?? "";
-  if (!text) return;
+// --- Manual pairing (no signaling server) ---
+function renderManualInput(placeholder, actionLabel) {
+  return `
+    <textarea id="manual-remote-code" class="manual-code" placeholder="${escapeHtml(placeholder)}" autocomplete="off" spellcheck="false"></textarea>
+    <div style="display:flex; gap:8px; justify-content:center; flex-wrap:wrap">
+      <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="openManualQrPicker">📷 Load QR image</button>
+      <button type="button" class="btn btn-primary" id="btn-manual-apply" style="width:auto; padding:6px 16px; font-size:13px" data-action="applyManualCode">${escapeHtml(actionLabel)}</button>
+    </div>
+    <input type="file" id="manual-qr-input" accept="image/*" style="display:none">
+  `;
+}
 
-  const old = btn.textContent;
+function setManualStatus(text) {
+  const badge = document.getElementById("status-badge");
+  if (badge) badge.textContent = text;
+}
+
+function showManualLocalCode(code) {
+  const box = document.getElementById("manual-local-box");
+  const textEl = document.getElementById("manual-local-code");
+  const img = document.getElementById("manual-qr");
+  if (box) box.style.display = "";
+  if (textEl) textEl.value = code;
+  if (!img) return;
   try {
-    await copyToClipboard(text);
-    btn.textContent = "Copied";
-    setTimeout(() => {
-      if (btn.isConnected) btn.textContent = old;
-    }, 1500);
+    img.src = renderQrDataUrl(code);
+    img.style.display = "";
+  } catch (err) {
+    // Too long for a single QR code (e.g. lots of candidates); the text still works.
+    console.warn("QR render failed:", err);
+    img.style.display = "none";
+  }
+}
+
+window.startManualFlow = async (role) => {
+  const myGen = ++flowGeneration;
+  currentRole = role;
+  sasRequiredForFlow = false;
+  try { peer?.close?.(); } catch {}
+  dropInterruptedTransfers();
+  peer = new PeerClient(onPeerStatus, onPeerData);
+  currentOfferSignal = "";
+  currentCloudRoomCode = "";
+
+  router("manual", { isSender: role === "sender" });
+  if (role !== "sender") return;
+
+  await afterPaint(2);
+  if (flowGeneration !== myGen) return;
+  setManualStatus("Gathering network candidates...");
+  try {
+    // No trickling here: the one code has to carry every candidate.
+    const code = await peer.createOffer();
+    if (flowGeneration !== myGen) return;
+    showManualLocalCode(code);
+    setManualStatus("Waiting for the receiver's reply code...");
   } catch (err) {
+    // A newer flow closed this peer while it was still setting up.
+    if (flowGeneration !== myGen) return;
     console.error(err);
-    alert("Copy failed.");
+    setManualStatus(`Couldn't create a connection code: ${err?.message ?? String(err)}`);
+  }
+};
+
+window.applyManualCode = async () => {
+  const input = document.getElementById("manual-remote-code");
+  const code = String(input?.value ?? "").replace(/\s+/g, "");
+  if (!code || !peer) return;
+  const myGen = flowGeneration;
+  const isSender = currentRole === "sender";
+
+  let decoded;
+  try {
+    decoded = await peer.decodeSignal(code);
+  } catch (err) {
+    alert(`That doesn't look like a connection code.\n\n${err?.message ?? String(err)}`);
+    return;
+  }
+  if (isSender && decoded?.type !== "answer") {
+    alert("That's a connection code, not a reply. Enter the reply code from the receiver's screen.");
+    return;
+  }
+  if (!isSender && decoded?.type !== "offer") {
+    alert("That's a reply code. Enter the code shown on the sender's screen.");
+    return;
+  }
+
+  const btn = document.getElementById("btn-manual-apply");
+  if (btn) btn.disabled = true;
+  try {
+    if (isSender) {
+      setManualStatus("Connecting...");
+      await peer.applyAnswer(code);
+      return;
+    }
+    setManualStatus("Gathering network candidates...");
+    const answer = await peer.createAnswer(code);
+    if (flowGeneration !== myGen) return;
+    showManualLocalCode(answer);
+    setManualStatus("Show the reply code to the sender. Waiting for the connection...");
+  } catch (err) {
+    if (flowGeneration !== myGen) return;
+    console.error(err);
+    setManualStatus(`Pairing failed: ${err?.message ?? String(err)}`);
+    if (btn) btn.disabled = false;
+  }
+};
+
+window.copyManualCode = async (btn) => {
+  const code = document.getElementById("manual-local-code")?.value ?? "";
+  if (!code) return;
+  await copyWithFeedback(btn, code);
+};
+
+window.loadManualQrImage = async (input) => {
+  const file = input?.files?.[0];
+  if (input) input.value = "";
+  if (!file) return;
+  try {
+    const text = await decodeQrFromFile(file);
+    if (!text) {
+      alert("No QR code found in that image.");
+      return;
+    }
+    const target = document.getElementById("manual-remote-code");
+    if (target) target.value = text;
+    await window.applyManualCode();
+  } catch (err) {
+    console.error(err);
+    alert(`Couldn't read the image: ${err?.message ?? String(err)}`);
   }
 };
 
+window.copyMessage = async (btn) => {
+  const bubble = btn?.parentElement?.querySelector?.(".msg-bubble");
+  const text = bubble?.textContent ?? "";
+  if (!text) return;
+  await copyWithFeedback(btn, text);
+};
+
 function onPeerStatus(status) {
   updateConnStatusUI(status);
   
@@ -1557,16 +2512,42 @@ function onPeerStatus(status) {
       fileDoneWaiters.delete(id);
     }
     for (const [id, state] of outgoingTransfers) {
+      // Accepted transfers are paused and resumed from the receiver's offset after reconnecting.
+      if (state.accepted && state.file) pausedOutgoing.set(id, { file: state.file, sid: state.sid });
       try { state.controller.abort(createAbortError("Connection lost")); } catch {}
       updateFileItemStatus(id, "Connection lost");
       outgoingTransfers.delete(id);
     }
-    const r = peer?.receiving;
-    if (r?.id) cancelIncomingFile(r.id, { notifyPeer: false, reason: "Connection lost" });
-    for (const id of Array.from(incomingFiles.keys())) {
+    for (const [id, state] of Array.from(incomingFiles)) {
+      // Keep the writer open for accepted transfers so they can continue where they stopped.
+      if (state.accepted && state.writer && !state.cancelled) {
+        state.interrupted = true;
+        if (state.acceptResendTimer) {
+          try { clearInterval(state.acceptResendTimer); } catch {}
+          state.acceptResendTimer = 0;
+        }
+        if (!state.resumeTimer) {
+          state.resumeTimer = setTimeout(() => {
+            state.resumeTimer = 0;
+            if (state.interrupted) cancelIncomingFile(id, { notifyPeer: false, reason: "Connection lost" });
+          }, INTERRUPTED_RECEIVE_TIMEOUT_MS);
+        }
+        updateFileItemStatus(id, "Connection lost. Waiting to resume...");
+        continue;
+      }
       cancelIncomingFile(id, { notifyPeer: false, reason: "Connection lost" });
     }
   }
+  if (status === "failed" || status === "closed") dropSasHeldSends();
+
+  if (status === "connected" && peer?.dc?.readyState === "open") {
+    resumePausedOutgoing();
+  }
+  if (status === "connected" || status === "disconnected" || status === "failed") updateSasUI();
+  if (status === "connected") {
+    startConnStats();
+    void updateRelayNoticeUI();
+  }
 
   if(status === 'connected') {
     if(document.getElementById('step-title')) {
@@ -1575,9 +2556,130 @@ function onPeerStatus(status) {
   }
 }
 
+// Relayed sessions are slower than direct ones; say so, and why when it was the automatic fallback.
+async function updateRelayNoticeUI() {
+  const el = document.getElementById("relay-notice");
+  if (!el) return;
+  let relayed = false;
+  try {
+    const s = await getSelectedCandidatePairStats(peer?.pc);
+    relayed = s?.local?.candidateType === "relay" || s?.remote?.candidateType === "relay";
+  } catch {}
+  if (!relayed) {
+    el.style.display = "none";
+    return;
+  }
+  el.textContent = peer?.relayFallback
+    ? "🔁 No direct path was possible on this network, so this session is relayed through a TURN server. Transfers are slower, and still end-to-end encrypted."
+    : "🔁 This session is relayed through a TURN server. Transfers are slower than a direct connection, and still end-to-end encrypted.";
+  el.style.display = "";
+}
+
+// --- Peer verification (short authentication string) ---
+let sasConfirmedKey = ""; // key of the SAS the user confirmed; a new connection yields a new one
+const sasHeldSends = new Map(); // id -> startSend options, held until the SAS is confirmed
+// Set for flows paired through Nearby: nothing else proves who answered the lobby invite.
+let sasRequiredForFlow = false;
+
+function isSendBlockedBySas() {
+  if (!webrtcConfig.requireSasConfirm && !sasRequiredForFlow) return false;
+  const sas = peer?.getShortAuthString?.();
+  return Boolean(sas && sas.key !== sasConfirmedKey);
+}
+
+function updateSasUI() {
+  const box = document.getElementById("sas-box");
+  if (!box) return;
+  const sas = peer?.pc?.connectionState === "connected" ? peer.getShortAuthString?.() : null;
+  if (!sas) {
+    box.style.display = "none";
+    return;
+  }
+
+  const confirmed = sas.key === sasConfirmedKey;
+  const btnStyle = "padding:4px 12px; font-size:12px; width:auto";
+  box.style.display = "";
+  box.innerHTML = `
+    <div class="sas-title">Security code — check the other screen shows the same</div>
+    <div class="sas-emoji" title="${escapeHtml(sas.words.join(", "))}">${sas.emoji.join(" ")}</div>
+    <div class="sas-words">${escapeHtml(sas.words.join(" · "))}</div>
+    ${
+      confirmed
+        ? `<div class="sas-confirmed">✅ Verified</div>`
+        : `<div class="sas-actions">
+             <button type="button" class="btn btn-primary" style="${btnStyle}" data-action="confirmSas">They match</button>
+             <button type="button" class="btn" style="${btnStyle}" data-action="rejectSas">They're different</button>
+           </div>`
+    }
+    ${
+      sasRequiredForFlow
+        ? `<div class="sas-require">Files wait for this check on connections made through Nearby devices.</div>`
+        : `<label class="sas-require">
+      <input type="checkbox" data-action="toggleRequireSas" ${webrtcConfig.requireSasConfirm ? "checked" : ""}>
+      Don't send files until the code is confirmed
+    </label>`
+    }
+  `;
+}
+
+// Sends held for the SAS go out once nothing blocks them any more (confirmed, or the requirement
+// was turned off).
+function releaseSasHeldSends() {
+  if (!sasHeldSends.size || isSendBlockedBySas()) return;
+  const held = Array.from(sasHeldSends);
+  sasHeldSends.clear();
+  for (const [id, options] of held) void window.startSend(id, options);
+}
+
+// Sends held for one peer's SAS must not go to whoever connects next.
+function dropSasHeldSends() {
+  for (const id of sasHeldSends.keys()) updateFileItemStatus(id, "Connection lost");
+  sasHeldSends.clear();
+}
+
+window.confirmSas = () => {
+  const sas = peer?.getShortAuthString?.();
+  if (!sas) return;
+  sasConfirmedKey = sas.key;
+  updateSasUI();
+  releaseSasHeldSends();
+};
+
+window.rejectSas = () => {
+  // A different code means someone else is in the middle (or answered with our room code).
+  const held = Array.from(sasHeldSends.keys());
+  sasHeldSends.clear();
+  for (const id of held) updateFileItemStatus(id, "Not sent: the security code didn't match");
+  try { peer?.close?.(); } catch {}
+  onPeerStatus("closed");
+  // Don't hand interrupted transfers to whoever connects next.
+  dropInterruptedTransfers();
+  const box = document.getElementById("sas-box");
+  if (box) {
+    box.innerHTML = `<div class="sas-title" style="color:var(--error)">Disconnected: the security codes didn't match. Start a new connection and compare again.</div>`;
+  }
+};
+
+function getBaseStreamId(streamId) {
+  return String(streamId ?? "").trim().split(":")[0];
+}
+
+function resumePausedOutgoing() {
+  for (const [id, { file, sid }] of Array.from(pausedOutgoing)) {
+    pausedOutgoing.delete(id);
+    stagedFiles.set(id, file);
+    void window.startSend(id, { resume: true, prevSid: sid });
+  }
+}
+
 const stagedFiles = new Map(); // id -> File
+const stagedFilePaths = new Map(); // id -> relative path of a file sent as part of a batch
+const batches = new Map(); // batchId -> { id, direction, name, count, size, fileIds, sizes, progress, bytesDone, completed, failed, ... }
+const fileBatchIds = new Map(); // fileId -> batchId
 const receivedFiles = new Map(); // id -> { chunks, name }
 const incomingFiles = new Map(); // id -> { id, name, size, received, chunks, writer, writeQueue, writePromise }
+const incomingStreams = new Map(); // base stream id -> incoming state (routes file-chunk frames)
+const completedIncomingIds = new Map(); // id -> sha256 of fully received files (answers resume requests after a late disconnect)
 const pendingUiOps = [];
 const progressFillCache = new Map(); // id -> HTMLElement
 const progressPending = new Map(); // id -> number
@@ -1588,6 +2690,37 @@ function getDeviceMemoryGB() {
   return Number.isFinite(mem) && mem > 0 ? mem : 0;
 }
 
+// Bytes a single incoming file may hold in memory (out-of-order frames + queued writes).
+// The receiver only lets the sender run this far ahead of what has reached the disk.
+const RECEIVE_WINDOW_BYTES = (() => {
+  const mem = getDeviceMemoryGB();
+  if (mem >= 8) return 64 * 1024 * 1024;
+  if (mem >= 4) return 32 * 1024 * 1024;
+  return 16 * 1024 * 1024;
+})();
+
+function getIncomingCreditLimit(state) {
+  const written = state.writer ? state.received - state.writeQueuedBytes : state.received;
+  return Math.min(state.size, Math.max(0, written) + RECEIVE_WINDOW_BYTES);
+}
+
+function maybeGrantIncomingCredit(state) {
+  if (!state?.accepted || state.cancelled || state.interrupted) return;
+  const limit = getIncomingCreditLimit(state);
+  const granted = state.creditGranted || 0;
+  if (limit <= granted) return;
+  // Batch small increments to keep control traffic low; always send the final grant.
+  if (limit < state.size && limit - granted < RECEIVE_WINDOW_BYTES / 4) return;
+  if (peer?.dc?.readyState !== "open") return;
+  try {
+    peer.send(JSON.stringify({ type: "file-credit", id: state.id, sid: state.streamId, limit }));
+    state.creditGranted = limit;
+  } catch {}
+}
+
+// Above this, receiving without a save picker or streaming download asks first (it all sits in RAM).
+const IN_MEMORY_RECEIVE_WARN_BYTES = 512 * 1024 * 1024;
+
 const WRITE_BATCH_BYTES = (() => {
   const mem = getDeviceMemoryGB();
   if (mem >= 8) return 16 * 1024 * 1024; // 16MB
@@ -1618,10 +2751,16 @@ function flushFileWrites(state) {
         if (!items.length) break;
         inFlight = items;
 
+        // Hash (off the main thread) while the batch is written.
+        const hashed = state.hasher ? Promise.all(items.map((it) => state.hasher.update(it.data))) : null;
+        hashed?.catch(() => {});
+
         const parts = items.map((it) => it.data);
         const dataToWrite = parts.length === 1 ? parts[0] : new Blob(parts);
         await state.writer.write(dataToWrite);
+        await hashed;
         state.writeQueuedBytes = Math.max(0, state.writeQueuedBytes - batchBytes);
+        maybeGrantIncomingCredit(state);
 
         inFlight = null;
 
@@ -1632,6 +2771,8 @@ function flushFileWrites(state) {
         }
       }
     } catch (err) {
+      // Canceling aborts the writer and the hash; that's not a write failure.
+      if (state.cancelled) return;
       console.error(err);
       const message = err?.message ?? String(err);
       alert(`Failed to write file: ${message}`);
@@ -1723,14 +2864,20 @@ window.acceptFile = async (id) => {
 
   if (state.accepted) return;
 
-  if (!state.writer) {
-    if (typeof window.showSaveFilePicker !== "function") {
-      alert(
-        "This browser doesn't support choosing a save location and writing the file directly.\n\nUse desktop Chrome/Edge as the receiver."
-      );
+  const batch = batches.get(state.batchId);
+  if (!state.writer && batch?.dirHandle) {
+    // Part of an accepted batch: write into the chosen folder, recreating the sender's tree.
+    try {
+      state.writer = await createBatchFileWriter(batch.dirHandle, state.path || state.name);
+      state.chunks = null;
+    } catch (err) {
+      console.error(err);
+      alert(`Couldn't create the save file: ${err?.message ?? String(err)}`);
       return;
     }
+  }
 
+  if (!state.writer && typeof window.showSaveFilePicker === "function") {
     try {
       const handle = await window.showSaveFilePicker({
         suggestedName: state.name || "download",
@@ -1743,12 +2890,77 @@ window.acceptFile = async (id) => {
       alert(`Couldn't create the save file: ${err?.message ?? String(err)}`);
       return;
     }
+  } else if (!state.writer) {
+    // No save picker (Firefox, Safari, phones): stream into a regular browser download.
+    try {
+      state.writer = await createStreamDownloadWriter({
+        id: fileId,
+        name: getDownloadName(state),
+        size: state.size,
+      });
+      state.chunks = null;
+    } catch (err) {
+      console.warn("Streaming download failed, keeping the file in memory instead:", err);
+      if (
+        state.size > IN_MEMORY_RECEIVE_WARN_BYTES &&
+        !confirm(
+          `This browser can't stream "${state.name}" to disk, so it has to be held in memory (${formatBytes(state.size)}) until you save it.\n\nContinue?`
+        )
+      ) {
+        return;
+      }
+      state.chunks = [];
+    }
+    if (incomingFiles.get(fileId) !== state || state.cancelled) {
+      try { await state.writer?.abort?.(); } catch {}
+      return;
+    }
+  }
+
+  // User clicked "Accept"
+  // 1) Notify sender (with a short resend loop for robustness)
+  const ok = startAcceptLoop(state);
+  if (!ok) {
+    alert("Not connected yet. Can't confirm receipt.");
+    return;
+  }
+
+  state.startedAt = nowMs();
+  state.speedLastAt = state.startedAt;
+  state.speedLastBytes = 0;
+  
+  // 2. Update UI
+  const el = document.getElementById(`file-${fileId}`);
+  if(el) {
+     const btn = el.querySelector('.btn-accept');
+     if(btn) btn.remove();
+     
+     const status = el.querySelector('.file-status-text');
+     if(status) status.textContent = "Accepted. Waiting for the sender to start...";
+     
+     const progressBar = el.querySelector('.progress-bar');
+     if(progressBar) progressBar.style.display = 'block';
   }
+};
+
+// Batch files saved as separate downloads keep their folder in the name, since there's no folder to put them in.
+function getDownloadName(state) {
+  const batch = batches.get(state.batchId);
+  if (!batch || !state.path) return state.name || "download";
+  return sanitizeRelativePath(state.path).join(" - ") || state.name || "download";
+}
 
+// Sends "file-accept" and keeps re-sending it until the sender acknowledges or data arrives.
+// `extra` is merged into the message (used to report the resume position).
+function startAcceptLoop(state, extra = {}) {
+  const fileId = state.id;
   const sendAccept = () => {
     if (!peer?.dc || peer.dc.readyState !== "open") return false;
     try {
-      peer.send(JSON.stringify({ type: "file-accept", id: fileId }));
+      // The accept doubles as the first credit grant: how far the sender may run ahead of our disk.
+      const credit = getIncomingCreditLimit(state);
+      state.creditGranted = Math.max(state.creditGranted || 0, credit);
+      peer.send(JSON.stringify({ type: "file-accept", id: fileId, sid: state.streamId, credit, ...extra }));
       return true;
     } catch (err) {
       console.error(err);
@@ -1756,19 +2968,10 @@ window.acceptFile = async (id) => {
     }
   };
 
-  // User clicked "Accept"
-  // 1) Notify sender (with a short resend loop for robustness)
-  const ok = sendAccept();
-  if (!ok) {
-    alert("Not connected yet. Can't confirm receipt.");
-    return;
-  }
+  if (!sendAccept()) return false;
 
   state.accepted = true;
   state.acceptAcked = false;
-  state.startedAt = nowMs();
-  state.speedLastAt = state.startedAt;
-  state.speedLastBytes = 0;
 
   if (state.acceptResendTimer) {
     try { clearInterval(state.acceptResendTimer); } catch {}
@@ -1797,21 +3000,9 @@ window.acceptFile = async (id) => {
     sendAccept();
   }, 700);
   state.acceptResendTimer = acceptTimer;
-  
-  // 2. Update UI
-  const el = document.getElementById(`file-${fileId}`);
-  if(el) {
-     const btn = el.querySelector('.btn-accept');
-     if(btn) btn.remove();
-     
-     const status = el.querySelector('.file-status-text');
-     if(status) status.textContent = "Accepted. Waiting for the sender to start...";
-     
-     const progressBar = el.querySelector('.progress-bar');
-     if(progressBar) progressBar.style.display = 'block';
-  }
-};
-
+  return true;
+}
+
 async function onPeerData(msg) {
   if (msg.type === 'text') {
     addTextItem(String(msg.text ?? ''), 'received');
@@ -1819,7 +3010,7 @@ async function onPeerData(msg) {
     // Sender received acceptance
     const id = String(msg.id ?? "").trim();
     if (!id) return;
-    resolveFileAccept(id);
+    resolveFileAccept(id, msg);
     try { peer.send(JSON.stringify({ type: "file-accept-ack", id })); } catch {}
 
   } else if (msg.type === 'file-accept-ack') {
@@ -1834,23 +3025,83 @@ async function onPeerData(msg) {
       }
     }
 
+  } else if (msg.type === 'file-credit') {
+    const id = String(msg.id ?? "").trim();
+    const state = outgoingTransfers.get(id);
+    if (!state) return;
+    if (state.sid && String(msg.sid ?? "") !== state.sid) return;
+    const limit = Number(msg.limit);
+    if (!Number.isFinite(limit) || limit <= state.creditLimit) return;
+    state.creditLimit = limit;
+    state.creditWaiter?.();
+
   } else if (msg.type === 'file-done') {
     const id = String(msg.id ?? "").trim();
     if (!id) return;
-    resolveFileDone(id);
+    resolveFileDone(id, msg);
 
-  } else if (msg.type === 'file-meta') {
-    if (peer?.receiving) return;
+  } else if (msg.type === 'file-hash') {
+    const id = String(msg.id ?? "").trim();
+    const state = incomingFiles.get(id);
+    if (!state) return;
+    state.expectedSha256 = String(msg.sha256 ?? "").trim().toLowerCase();
+    state.hashWaiter?.(state.expectedSha256);
+
+  } else if (msg.type === 'file-hash-progress') {
+    const state = incomingFiles.get(String(msg.id ?? "").trim());
+    const percent = Math.floor(Number(msg.percent));
+    if (!state || !Number.isFinite(percent) || percent < 0 || percent > 100) return;
+    state.senderHashPercent = percent;
+    if (state.hashWaiter) updateFileItemStatus(state.id, getIncomingVerifyStatus(state));
+
+  } else if (msg.type === 'batch-meta') {
+    const id = String(msg.id ?? "").trim();
+    const count = Math.max(0, Math.floor(Number(msg.count) || 0));
+    const size = Number(msg.size);
+    if (!id || !count || !Number.isFinite(size) || size < 0) return;
+    if (batches.has(id)) return; // re-announced after a reconnect
+
+    const batch = createBatch(id, "in", { name: String(msg.name ?? "Files"), count, size });
+    addBatchItem(batch, "receiving-batch");
+
+  } else if (msg.type === 'batch-cancel') {
+    const id = String(msg.id ?? "").trim();
+    if (!id) return;
+    const reason =
+      String(msg.reason ?? "Canceled by the other side").trim() || "Canceled by the other side";
+    cancelBatch(id, { notifyPeer: false, reason });
 
+  } else if (msg.type === 'file-meta') {
+    if (msg.resume) {
+      resumeIncomingFile(msg);
+      return;
+    }
     const id = String(msg.id ?? "").trim();
     const name = String(msg.name ?? "download");
     const size = Number(msg.size);
     if (!id || !Number.isFinite(size) || size < 0) return;
+    if (incomingFiles.has(id)) return;
+
+    const batchId = String(msg.bid ?? "").trim();
+    const batch = batchId ? batches.get(batchId) : null;
+    if (batch?.cancelled) {
+      try { peer.send(JSON.stringify({ type: "file-cancel", id, reason: "Canceled" })); } catch {}
+      return;
+    }
+    const path = batch ? sanitizeRelativePath(msg.path).join("/") : "";
+    if (batch) {
+      fileBatchIds.set(id, batch.id);
+      if (!batch.fileIds.includes(id)) batch.fileIds.push(id);
+      batch.sizes.set(id, size);
+    }
 
-    addFileItem(id, name, size, 'receiving-large');
+    addFileItem(id, path || name, size, 'receiving-large');
+    completedIncomingIds.delete(id);
     
     const state = {
       id,
+      batchId: batch?.id ?? "",
+      path,
       streamId: String(msg.sid ?? "").trim(),
       streamCount: Math.max(1, Math.floor(Number(msg.sc) || 0) || 1),
       name,
@@ -1861,6 +3112,7 @@ async function onPeerData(msg) {
       acceptAcked: false,
       acceptResendTimer: 0,
       acceptResendAttempts: 0,
+      resumeTimer: 0, // gives up on an interrupted transfer that isn't resumed (INTERRUPTED_RECEIVE_TIMEOUT_MS)
       received: 0,
       lastUiUpdateAt: 0,
       expectedSeq: 0,
@@ -1868,6 +3120,12 @@ async function onPeerData(msg) {
       needsAccept: true,
       accepted: false,
       cancelled: false,
+      interrupted: false,
+      hasher: peer?.remoteCaps?.sha256 ? new Sha256Stream() : null,
+      expectedSha256: "",
+      senderHashPercent: -1, // the sender's hashing progress while we wait for its digest
+      hashWaiter: null,
+      creditGranted: 0,
       chunks: null,
       writer: null,
       writeQueue: [],
@@ -1876,9 +3134,11 @@ async function onPeerData(msg) {
       writePromise: null,
     };
     incomingFiles.set(id, state);
-    peer.receiving = state;
+    if (state.streamId) incomingStreams.set(state.streamId, state);
     
     // Wait for user confirmation and save location selection before receiving.
+    // Files of a batch whose folder was already chosen are accepted right away.
+    if (batch?.dirHandle || batch?.streamFiles) void window.acceptFile(id);
 
   } else if (msg.type === 'file-cancel') {
     const id = String(msg.id ?? "").trim();
@@ -1890,8 +3150,8 @@ async function onPeerData(msg) {
 
   } else if (msg.type === 'file-channel-closed') {
     const streamId = String(msg.streamId ?? "").trim();
-    const r = peer?.receiving;
-    if (r && streamId && r.streamId && streamIdMatchesBase(r.streamId, streamId)) {
+    const r = incomingStreams.get(getBaseStreamId(streamId));
+    if (r && !r.interrupted && streamId && r.streamId && streamIdMatchesBase(r.streamId, streamId)) {
       // Only abort immediately if the base channel closes; extra channels may be optional.
       if (streamId === r.streamId) {
         cancelIncomingFile(r.id, { notifyPeer: false, reason: "File channel closed" });
@@ -1899,14 +3159,20 @@ async function onPeerData(msg) {
     }
 
   } else if (msg.type === 'file-chunk') {
-    const r = peer.receiving;
+    // Frames are routed by their channel's base stream id, so several files can be in flight.
+    const streamId = String(msg.streamId ?? "").trim();
+    const r = incomingStreams.get(getBaseStreamId(streamId));
     if(!r) return;
     if (r.cancelled) return;
     if (r.needsAccept && !r.accepted) return;
-    if (r.accepted && !r.writer) {
+    // Accepted without a writer means the file is kept in memory (r.chunks); with neither, saving failed.
+    if (r.accepted && !r.writer && !r.chunks) {
       cancelIncomingFile(r.id, { notifyPeer: true, reason: "Couldn't create the save file" });
       return;
     }
+
+    if (r.streamId && streamId && !streamIdMatchesBase(r.streamId, streamId)) return;
+
     if (!r.acceptAcked) {
       r.acceptAcked = true;
       if (r.acceptResendTimer) {
@@ -1915,9 +3181,6 @@ async function onPeerData(msg) {
       }
     }
 
-    const streamId = String(msg.streamId ?? "").trim();
-    if (r.streamId && streamId && !streamIdMatchesBase(r.streamId, streamId)) return;
-
     const seq = Number(msg.seq);
     if (!Number.isFinite(seq) || seq < 0 || !Number.isInteger(seq)) return;
 
@@ -1952,11 +3215,12 @@ async function onPeerData(msg) {
       commitChunk(next);
       r.expectedSeq += 1;
     }
+    if (!r.writer) maybeGrantIncomingCredit(r);
 
     const now = nowMs();
     if (!r.lastUiUpdateAt || now - r.lastUiUpdateAt >= UI_PROGRESS_MIN_INTERVAL_MS || r.received >= r.size) {
       updateProgress(r.id, r.size === 0 ? 1 : r.received / r.size);
-      if (r.writer && r.accepted) {
+      if (r.accepted) {
         const dt = now - (r.speedLastAt || 0);
         if (dt >= 400) {
           const delta = Math.max(0, r.received - (r.speedLastBytes || 0));
@@ -1970,59 +3234,149 @@ async function onPeerData(msg) {
     }
     
     if (r.received >= r.size) {
-      if (r.writer) {
-        await flushFileWrites(r);
-        try { await r.writer?.close(); } catch (err) { console.error(err); }
-      }
+      if (incomingStreams.get(r.streamId) === r) incomingStreams.delete(r.streamId);
+      void completeIncomingFile(r);
+    }
+  }
+}
 
-      if (!r.writer) {
-        // Transfer complete, store explicitly for manual download
-        receivedFiles.set(r.id, {
-          chunks: r.chunks ?? [],
-          name: r.name ?? 'download'
-        });
-      }
+async function completeIncomingFile(r) {
+  if (r.writer) {
+    await flushFileWrites(r);
+    try { await r.writer?.close(); } catch (err) { console.error(err); }
+  }
+  if (r.cancelled) return;
 
-      try { peer.send(JSON.stringify({ type: "file-done", id: r.id })); } catch {}
+  if (!r.writer) {
+    // Transfer complete, store explicitly for manual download
+    receivedFiles.set(r.id, {
+      chunks: r.chunks ?? [],
+      name: r.name ?? 'download'
+    });
+  }
 
-      peer.receiving = null;
-      
-      // UI update: Show Download Button
-      enqueueUiOp(() => {
-        const el = document.getElementById(`file-${r.id}`);
-        if(!el) return;
-
-	        updateProgress(r.id, 1);
-
-	        const status = el.querySelector('.file-status-text');
-	        if(status) status.remove(); // Remove "Receiving..."
-	        el.querySelector('.btn-cancel')?.remove();
-	        el.querySelector('.btn-accept')?.remove();
-
-	        if (!incomingFiles.has(r.id)) return;
-        const state = incomingFiles.get(r.id);
-        incomingFiles.delete(r.id);
-
-        if (state?.writer) {
-          const done = document.createElement("div");
-          done.className = "file-status-text";
-          done.textContent = "✅ Saved";
-          el.querySelector(".file-info")?.appendChild(done);
-          return;
-        }
+  // Digest of what was actually written, checked against the sender's digest when it sent one.
+  let digest = "";
+  let verified = null;
+  if (r.hasher) {
+    if (!r.writer) {
+      for (const chunk of r.chunks ?? []) await r.hasher.update(chunk);
+    }
+    digest = await r.hasher.digest();
+    if (!r.expectedSha256) enqueueUiOp(() => updateFileItemStatus(r.id, getIncomingVerifyStatus(r)));
+    const expected = await waitForIncomingHash(r);
+    if (expected) verified = expected === digest;
+  }
 
-        // Add Download Button
-        if (!el.querySelector('.btn-download')) {
-          const btn = document.createElement('button');
-          btn.className = 'btn btn-primary btn-download';
-          btn.style.cssText = 'padding:4px 12px; font-size:12px; width:auto; margin-top:4px';
-          btn.textContent = "📥 Save file";
-          btn.onclick = () => downloadFile(r.id);
-          el.querySelector('.file-info')?.appendChild(btn);
-        }
-      });
+  try { peer.send(JSON.stringify({ type: "file-done", id: r.id, ...(digest ? { sha256: digest } : {}) })); } catch {}
+  completedIncomingIds.set(r.id, digest);
+  markBatchFileDone(r.id, verified !== false);
+  
+  // UI update: Show Download Button
+  enqueueUiOp(() => {
+    const el = document.getElementById(`file-${r.id}`);
+    if(!el) return;
+
+    updateProgress(r.id, 1);
+
+    const status = el.querySelector('.file-status-text');
+    if(status) status.remove(); // Remove "Receiving..."
+    el.querySelector('.btn-cancel')?.remove();
+    el.querySelector('.btn-accept')?.remove();
+
+    if (!incomingFiles.has(r.id)) return;
+    const state = incomingFiles.get(r.id);
+    incomingFiles.delete(r.id);
+
+    if (verified === false) {
+      const failed = document.createElement("div");
+      failed.className = "file-status-text";
+      failed.style.color = "var(--error)";
+      failed.textContent = "❌ Verification failed: the saved file doesn't match the original (SHA-256 mismatch)";
+      el.querySelector(".file-info")?.appendChild(failed);
+      return;
     }
+
+    if (state?.writer) {
+      const done = document.createElement("div");
+      done.className = "file-status-text";
+      done.textContent = verified ? "✅ Saved · Verified" : "✅ Saved";
+      el.querySelector(".file-info")?.appendChild(done);
+      return;
+    }
+
+    // Add Download Button
+    if (!el.querySelector('.btn-download')) {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-primary btn-download';
+      btn.style.cssText = 'padding:4px 12px; font-size:12px; width:auto; margin-top:4px';
+      btn.textContent = verified ? "📥 Save file (verified)" : "📥 Save file";
+      btn.onclick = () => downloadFile(r.id);
+      el.querySelector('.file-info')?.appendChild(btn);
+    }
+  });
+}
+
+// Shown while the receiver waits for the sender to finish hashing the original.
+function getIncomingVerifyStatus(state) {
+  const percent = state.senderHashPercent;
+  return percent >= 0 ? `Verifying... the sender has checked ${percent}%` : "Verifying... waiting for the sender's checksum";
+}
+
+// The sender's digest arrives on the control channel and may land before or after the last chunk.
+function waitForIncomingHash(state, timeoutMs = 10 * 60 * 1000) {
+  if (state.expectedSha256) return Promise.resolve(state.expectedSha256);
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(() => {
+      state.hashWaiter = null;
+      resolve("");
+    }, timeoutMs);
+    state.hashWaiter = (hash) => {
+      clearTimeout(timeoutId);
+      state.hashWaiter = null;
+      resolve(hash);
+    };
+  });
+}
+
+// The sender re-announces an interrupted transfer on fresh channels; answer with how far we got.
+function resumeIncomingFile(msg) {
+  const id = String(msg.id ?? "").trim();
+  if (!id) return;
+
+  if (completedIncomingIds.has(id)) {
+    const sha256 = completedIncomingIds.get(id);
+    try {
+      peer.send(JSON.stringify({ type: "file-accept", id, sid: String(msg.sid ?? ""), done: 1, ...(sha256 ? { sha256 } : {}) }));
+    } catch {}
+    return;
+  }
+
+  const state = incomingFiles.get(id);
+  if (!state || state.cancelled || !state.accepted || !state.writer) {
+    try {
+      peer.send(JSON.stringify({ type: "file-cancel", id, reason: "The other side can't resume this transfer" }));
+    } catch {}
+    return;
+  }
+
+  // Anything past the last contiguous chunk is dropped and sent again.
+  if (incomingStreams.get(state.streamId) === state) incomingStreams.delete(state.streamId);
+  state.streamId = String(msg.sid ?? "").trim();
+  state.streamCount = Math.max(1, Math.floor(Number(msg.sc) || 0) || 1);
+  state.pendingChunks.clear();
+  state.interrupted = false;
+  if (state.resumeTimer) {
+    clearTimeout(state.resumeTimer);
+    state.resumeTimer = 0;
   }
+  state.creditGranted = 0;
+  state.speedLastAt = nowMs();
+  state.speedLastBytes = state.received;
+  if (state.streamId) incomingStreams.set(state.streamId, state);
+
+  startAcceptLoop(state, { offset: state.received, seq: state.expectedSeq });
+  updateFileItemStatus(id, `Resuming from ${formatBytes(state.received)}...`);
 }
 
 function addTextItem(text, type) {
@@ -2057,6 +3411,8 @@ function initViewHandlers(view, data) {
     if (!data?.isSender) {
       const input = document.getElementById("cloud-code-input");
       try { input?.focus?.(); } catch {}
+    } else if (data.cloudCode) {
+      renderJoinQr(data.cloudCode);
     }
     return;
   }
@@ -2067,6 +3423,11 @@ function initViewHandlers(view, data) {
         ? "connected"
         : (peer?.pc?.connectionState || "connecting");
     updateConnStatusUI(status);
+    updateSasUI();
+    void updateRelayNoticeUI();
+    if (peer?.pc) startConnStats();
+    // Charts are only drawn while the panel is open; draw right away when it opens.
+    document.getElementById("conn-diagnostics")?.addEventListener("toggle", () => renderConnCharts());
   }
 }
 
@@ -2080,7 +3441,7 @@ function addFileItem(id, name, size, type) {
 
     const div = document.createElement('div');
     const isSent = type.includes('send'); // 'pending-send', 'sending'
-    div.className = `file-item ${isSent ? 'sent' : 'received'}`;
+    div.className = `file-item ${isSent ? 'sent' : 'received'}${fileBatchIds.has(id) ? ' batch-child' : ''}`;
     div.id = `file-${id}`;
     
 	    let actionBtn = '';
@@ -2144,9 +3505,231 @@ function addFileItem(id, name, size, type) {
   });
 }
 
+// --- Batches (multiple files / folders) ---
+function createBatch(id, direction, { name, count, size }) {
+  const batch = {
+    id,
+    direction, // 'out' | 'in'
+    name,
+    count,
+    size,
+    fileIds: [],
+    sizes: new Map(), // fileId -> bytes
+    progress: new Map(), // fileId -> bytes done
+    bytesDone: 0,
+    completed: new Set(),
+    failed: new Set(),
+    announcedTo: null, // sender: peer the batch-meta was sent to
+    dirHandle: null, // receiver: destination folder
+    streamFiles: false, // receiver: no folder access, save every file as its own download
+    cancelled: false,
+  };
+  batches.set(id, batch);
+  return batch;
+}
+
+function stageOutgoingBatch(items, isConnected) {
+  const batchId = Math.random().toString(36).slice(2);
+  const size = items.reduce((sum, it) => sum + (it.file.size || 0), 0);
+  const name = getBatchRootName(items) || `${items.length} files`;
+  const batch = createBatch(batchId, "out", { name, count: items.length, size });
+  addBatchItem(batch, isConnected ? "sending" : "pending-send");
+
+  for (const { file, path } of items) {
+    const id = Math.random().toString(36).slice(2);
+    stagedFiles.set(id, file);
+    stagedFilePaths.set(id, path);
+    fileBatchIds.set(id, batchId);
+    batch.fileIds.push(id);
+    batch.sizes.set(id, file.size);
+    addFileItem(id, path, file.size, isConnected ? "sending" : "pending-send");
+  }
+
+  if (isConnected) void window.startBatch(batchId);
+}
+
+window.startBatch = (batchId) => {
+  const batch = batches.get(batchId);
+  if (!batch || batch.direction !== "out" || batch.cancelled) return;
+  if (!peer?.dc || peer.dc.readyState !== "open") {
+    alert("Connection not established.");
+    return;
+  }
+
+  const el = document.getElementById(`file-${batchId}`);
+  el?.querySelector(".btn-action")?.remove();
+  const progressBar = el?.querySelector(".progress-bar");
+  if (progressBar) progressBar.style.display = "block";
+
+  batch.failed.clear();
+  updateBatchStatus(batch);
+  for (const id of batch.fileIds) {
+    if (batch.completed.has(id) || outgoingTransfers.has(id) || outgoingQueuedIds.has(id)) continue;
+    if (!stagedFiles.has(id)) continue;
+    void window.startSend(id);
+  }
+};
+
+window.acceptBatch = async (batchId) => {
+  const batch = batches.get(batchId);
+  if (!batch || batch.direction !== "in" || batch.dirHandle || batch.streamFiles || batch.cancelled) return;
+
+  if (typeof window.showDirectoryPicker === "function") {
+    try {
+      batch.dirHandle = await window.showDirectoryPicker({ mode: "readwrite" });
+    } catch (err) {
+      if (err?.name === "AbortError") return;
+      console.error(err);
+      alert(`Couldn't open the folder: ${err?.message ?? String(err)}`);
+      return;
+    }
+  } else if (canStreamDownloads()) {
+    batch.streamFiles = true;
+  } else {
+    alert(
+      "This browser can't save into a folder you choose.\n\nAccept the files one by one, or use desktop Chrome/Edge as the receiver."
+    );
+    return;
+  }
+
+  const el = document.getElementById(`file-${batchId}`);
+  el?.querySelector(".btn-accept")?.remove();
+  const progressBar = el?.querySelector(".progress-bar");
+  if (progressBar) progressBar.style.display = "block";
+  updateBatchStatus(batch);
+
+  for (const id of batch.fileIds) {
+    const state = incomingFiles.get(id);
+    if (state && !state.accepted && !state.cancelled) void window.acceptFile(id);
+  }
+};
+
+function cancelBatch(batchId, { notifyPeer = true, reason = "Canceled" } = {}) {
+  const batch = batches.get(batchId);
+  if (!batch || batch.cancelled) return;
+  batch.cancelled = true;
+
+  if (notifyPeer && peer?.dc?.readyState === "open") {
+    try { peer.send(JSON.stringify({ type: "batch-cancel", id: batchId, reason })); } catch {}
+  }
+
+  for (const id of batch.fileIds) {
+    if (batch.completed.has(id)) continue;
+    if (batch.direction === "out") cancelOutgoingFile(id, { notifyPeer: false, reason });
+    else cancelIncomingFile(id, { notifyPeer: false, reason });
+  }
+
+  const el = document.getElementById(`file-${batchId}`);
+  el?.querySelectorAll(".btn-cancel, .btn-accept, .btn-action").forEach((btn) => btn.remove());
+  updateFileItemStatus(batchId, reason);
+}
+
+window.cancelBatch = (id) => cancelBatch(id, { notifyPeer: true, reason: "Canceled" });
+
+function markBatchFileDone(fileId, ok = true) {
+  const batch = batches.get(fileBatchIds.get(fileId));
+  if (!batch) return;
+  if (ok) {
+    batch.completed.add(fileId);
+    batch.failed.delete(fileId);
+  } else {
+    batch.failed.add(fileId);
+  }
+  updateBatchStatus(batch);
+}
+
+function updateBatchStatus(batch) {
+  if (batch.cancelled) return;
+  const done = batch.completed.size;
+  let text = `${done} / ${batch.count} files`;
+  if (done >= batch.count) {
+    text = batch.direction === "out" ? "✅ All files received" : "✅ All files saved";
+  } else if (batch.failed.size) {
+    text += ` · ${batch.failed.size} failed`;
+  } else if (batch.direction === "in" && !batch.dirHandle && !batch.streamFiles) {
+    text = "Choose a folder to save all files, or accept them one by one";
+  }
+
+  enqueueUiOp(() => {
+    updateFileItemStatus(batch.id, text);
+    if (done < batch.count) return;
+    updateProgress(batch.id, 1);
+    document.getElementById(`file-${batch.id}`)?.querySelector(".btn-cancel")?.remove();
+  });
+}
+
+// Keeps only plain path segments so a peer can't write outside the chosen folder.
+function sanitizeRelativePath(path) {
+  return String(path ?? "")
+    .split(/[\\/]+/)
+    .map((seg) => seg.trim().replace(/[<>:"|?*\u0000-\u001f]/g, "_"))
+    .filter((seg) => seg && seg !== "." && seg !== "..");
+}
+
+async function createBatchFileWriter(dirHandle, path) {
+  const parts = sanitizeRelativePath(path);
+  const fileName = parts.pop() || "download";
+  let dir = dirHandle;
+  for (const part of parts) {
+    dir = await dir.getDirectoryHandle(part, { create: true });
+  }
+  const handle = await dir.getFileHandle(fileName, { create: true });
+  return handle.createWritable();
+}
+
+function addBatchItem(batch, type) {
+  enqueueUiOp(() => {
+    const list = document.getElementById('transfer-list');
+    if (!list) return;
+
+    document.getElementById(`file-${batch.id}`)?.remove();
+
+    const isSent = batch.direction === "out";
+    const div = document.createElement('div');
+    div.className = `file-item batch-item ${isSent ? 'sent' : 'received'}`;
+    div.id = `file-${batch.id}`;
+
+    const btnStyle = "padding:4px 12px; font-size:12px; width:auto; margin-top:4px;";
+    const cancelBtnStyle = "padding:4px 12px; font-size:12px; width:auto; margin-top:4px; background:var(--surface-muted); border:1px solid var(--glass-border); color:var(--text-main); box-shadow:none";
+    const actionRowStyle = `display:flex; gap:8px; margin-top:4px; justify-content:${isSent ? "flex-end" : "flex-start"}; flex-wrap:wrap;`;
+
+    let buttons = `<button type="button" class="btn btn-cancel" style="${cancelBtnStyle}" data-action="cancelBatch" data-batch-id="${batch.id}">Cancel all</button>`;
+    if (type === 'pending-send') {
+      buttons = `<button type="button" class="btn btn-primary btn-action" style="${btnStyle}" data-action="startBatch" data-batch-id="${batch.id}">Send all</button>` + buttons;
+    } else if (type === 'receiving-batch') {
+      buttons = `<button type="button" class="btn btn-primary btn-accept" style="${btnStyle}" data-action="acceptBatch" data-batch-id="${batch.id}">Accept all into a folder</button>` + buttons;
+    }
+    const progressBarDisplay = type === 'sending' ? 'block' : 'none';
+
+    div.innerHTML = `
+      <div style="font-size:24px">🗂️</div>
+      <div class="file-info">
+        <div class="file-name">${escapeHtml(batch.name)}</div>
+        <div class="file-meta" style="text-align:${isSent?'right':'left'}">${batch.count} files · ${formatBytes(batch.size)}</div>
+        <div class="file-status-text"></div>
+        <div style="${actionRowStyle}">${buttons}</div>
+        <div class="progress-bar" style="display:${progressBarDisplay}; background:var(--surface-strong)"><div class="progress-fill" style="background:${isSent ? 'var(--primary)' : 'var(--success)'}"></div></div>
+      </div>
+    `;
+    list.appendChild(div);
+    list.scrollTop = list.scrollHeight;
+  });
+  updateBatchStatus(batch);
+}
+
 function updateProgress(id, percent) {
   const clamped = Math.max(0, Math.min(1, Number(percent) || 0));
   progressPending.set(id, clamped);
+
+  // Roll file progress up into its batch row (by bytes, so large files weigh more).
+  const batch = batches.get(fileBatchIds.get(id));
+  if (batch) {
+    const bytes = clamped * (batch.sizes.get(id) || 0);
+    batch.bytesDone += bytes - (batch.progress.get(id) || 0);
+    batch.progress.set(id, bytes);
+    const total = batch.size ? batch.bytesDone / batch.size : batch.completed.size / batch.count;
+    progressPending.set(batch.id, Math.max(0, Math.min(1, total)));
+  }
   scheduleProgressFlush();
 }
 
@@ -2181,24 +3764,184 @@ let currentCloudRoomCode = "";
 let currentOfferSignal = "";
 
 
+// --- Join links ---
+// The code rides in the fragment, which browsers never send to the server.
+function getJoinLink(code) {
+  return `${location.origin}${location.pathname}${location.search}#join=${encodeURIComponent(code)}`;
+}
+
+function renderJoinQr(code) {
+  const img = document.getElementById("join-qr");
+  try {
+    if (img) {
+      img.src = renderQrDataUrl(getJoinLink(code));
+      img.style.display = "";
+    }
+  } catch (err) {
+    console.warn("QR render failed:", err);
+  }
+}
+
+// --- Room code lifetime ---
+// Codes are short enough to guess, so an unused one is retired after webrtcConfig.codeLifetimeSec.
+let codeExpiresAt = 0;
+let codeExpiryTimer = 0;
+
+function startCodeExpiry() {
+  stopCodeExpiry();
+  const lifetimeSec = webrtcConfig.codeLifetimeSec;
+  if (!lifetimeSec) return;
+  codeExpiresAt = Date.now() + lifetimeSec * 1000;
+  codeExpiryTimer = setInterval(updateCodeExpiry, 1000);
+  updateCodeExpiry();
+}
+
+function stopCodeExpiry(text = "") {
+  if (codeExpiryTimer) clearInterval(codeExpiryTimer);
+  codeExpiryTimer = 0;
+  codeExpiresAt = 0;
+  const el = document.getElementById("code-expiry");
+  if (el) el.textContent = text;
+}
+
+function updateCodeExpiry() {
+  const el = document.getElementById("code-expiry");
+  // Left the connect view (connected, cancelled or switched role).
+  if (!el || currentRole !== "sender") {
+    stopCodeExpiry();
+    return;
+  }
+  const left = Math.max(0, Math.ceil((codeExpiresAt - Date.now()) / 1000));
+  if (!left) {
+    void rotateSenderRoom("The previous code expired. Here is a new one.");
+    return;
+  }
+  el.textContent = `Expires in ${Math.floor(left / 60)}:${String(left % 60).padStart(2, "0")}`;
+  el.classList.toggle("expiring", left <= 30);
+}
+
+// Leaves the current room for a new code with a fresh offer; whoever had the old code can't use it.
+async function rotateSenderRoom(reason) {
+  if (currentRole !== "sender" || !document.getElementById("room-code-display")) return;
+  const myGen = ++flowGeneration;
+  if (signaling.joinTimer) {
+    clearInterval(signaling.joinTimer);
+    signaling.joinTimer = null;
+  }
+  signaling.disconnect();
+  try { peer?.close?.(); } catch {}
+  peer = new PeerClient(onPeerStatus, onPeerData);
+  currentOfferSignal = "";
+  currentCloudRoomCode = generateRoomCode();
+  showSenderRoomCode(currentCloudRoomCode);
+  updateRoomOccupancy([]);
+  setupSenderSignaling();
+  startCodeExpiry();
+  const statusEl = document.getElementById("cloud-status");
+  if (statusEl && reason) statusEl.textContent = reason;
+  await createSenderOffer(myGen);
+}
+
+// Digit codes show as two groups of three, word codes one group per word.
+function renderRoomCodeParts(code) {
+  const parts = isDigitInput(code) ? [code.slice(0, 3), code.slice(3)] : code.split("-");
+  return parts.map((part) => `<span class="code-digit">${escapeHtml(part)}</span>`).join('<span class="code-sep">-</span>');
+}
+
+function getRoomCodeHint(code) {
+  return code && !isDigitInput(code) ? "Ask the receiver to enter these words" : "Ask the receiver to enter this 6-digit code";
+}
+
+// Swaps the code shown on the sender's connect view (taken, expired or replaced codes).
+function showSenderRoomCode(code) {
+  const display = document.getElementById("room-code-display");
+  if (display) {
+    display.innerHTML = renderRoomCodeParts(code);
+    display.classList.toggle("words", !isDigitInput(code));
+  }
+  const hintEl = document.getElementById("room-code-hint");
+  if (hintEl) hintEl.textContent = getRoomCodeHint(code);
+  const linkEl = document.getElementById("join-link-text");
+  if (linkEl) linkEl.textContent = getJoinLink(code);
+  renderJoinQr(code);
+}
+
+window.copyJoinLink = async (btn) => {
+  const link = currentCloudRoomCode ? getJoinLink(currentCloudRoomCode) : "";
+  if (!link) return;
+  await copyWithFeedback(btn, link);
+};
+
+// Loopback: the new tab joins through the local BroadcastChannel, handy for demos and benchmarks.
+window.openLoopbackTab = () => {
+  if (!currentCloudRoomCode) return;
+  window.open(getJoinLink(currentCloudRoomCode), "_blank", "noopener");
+};
+
+// Returns true if the URL carried a join code (receiver flow started), false otherwise.
+function startFromJoinLink() {
+  const match = /^#join=([^&#]+)$/.exec(location.hash || "");
+  let code = "";
+  try { code = match ? parseRoomCode(decodeURIComponent(match[1])) : ""; } catch {}
+  if (!code) return false;
+  // Drop the code from the address bar (and history) now that it has been read.
+  try { history.replaceState(history.state, "", `${location.pathname}${location.search}`); } catch {}
+
+  void joinWithCode(code);
+  return true;
+}
+
+// Receiver flow with the code already known (join links, accepted nearby invites).
+async function joinWithCode(code, { requireSas = false } = {}) {
+  await window.startFlow("receiver", { requireSas });
+  const input = document.getElementById("cloud-code-input");
+  if (!input) return;
+  input.value = code;
+  window.handleCloudInput(input);
+  await window.connectCloud();
+}
+
+window.addEventListener("hashchange", () => {
+  startFromJoinLink();
+});
+
 function generateRoomCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return ROOM_CODE_FORMAT === "words" ? generateWordCode() : generateDigitCode();
 }
 
 window.handleCloudInput = (el) => {
-  const val = el.value.replace(/[^0-9]/g, '').slice(0, 6);
-  el.value = val;
+  let hint = "Enter the code shown on the sender’s screen";
+  if (isDigitInput(el.value)) {
+    el.value = el.value.replace(/[^0-9]/g, '').slice(0, DIGIT_CODE_LENGTH);
+  } else {
+    // Any separator becomes a dash, so the suggestions line up with what's typed.
+    el.value = el.value.toLowerCase().replace(/[^a-z]+/g, "-").replace(/^-/, "");
+    const unknown = findUnknownWord(el.value);
+    if (unknown) hint = `⚠️ “${unknown}” isn't one of the code words`;
+  }
+
+  const list = document.getElementById("cloud-code-words");
+  if (list) {
+    list.textContent = "";
+    for (const suggestion of isDigitInput(el.value) ? [] : suggestWordCodes(el.value)) {
+      const option = document.createElement("option");
+      option.value = suggestion;
+      list.appendChild(option);
+    }
+  }
+  const hintEl = document.getElementById("cloud-code-hint");
+  if (hintEl) hintEl.textContent = hint;
   const btn = document.getElementById('btn-cloud-connect');
-  if (btn) btn.disabled = val.length !== 6;
+  if (btn) btn.disabled = !parseRoomCode(el.value);
 };
 
 window.connectCloud = async () => {
   const input = document.getElementById('cloud-code-input');
-  const code = input?.value;
-  if (!code || code.length !== 6) return;
+  const code = parseRoomCode(input?.value);
+  if (!code) return;
 
-  if (!isSupabaseConfigured()) {
-    alert("Supabase is not configured. Set VITE_SUPABASE_URL and VITE_SUPABASE_KEY in .env.");
+  if (!isSignalingConfigured()) {
+    alert("Signaling is not configured. Set VITE_SUPABASE_URL and VITE_SUPABASE_KEY (or VITE_SIGNALING_URL) in .env.");
     return;
   }
   
@@ -2221,8 +3964,9 @@ window.connectCloud = async () => {
             sendJoin();
         }, 3000);
     };
+    // Only called once reconnecting has given up; the state line shows the retries before that.
     signaling.onError = (err) => {
-       alert(`Connection failed: ${err.message}\nCheck console logs, network, and Supabase config.`);
+       showSignalingNotice(`Couldn't reach the signaling server (${err.message}). Check your network and try again.`);
        if (btn) {
          btn.disabled = false;
          btn.textContent = "Connect";
@@ -2232,7 +3976,7 @@ window.connectCloud = async () => {
       clearInterval(signaling.joinTimer);
       signaling.joinTimer = null;
     }
-    signaling.connect(code);
+    signaling.connect(code, { role: "receiver" });
   } catch (err) {
     console.error(err);
     alert("Failed to connect to the signaling service.");
@@ -2249,6 +3993,9 @@ function trySendOfferSignal() {
 
   try {
     signaling.send(JSON.stringify({ type: 'signal', content: currentOfferSignal }));
+    // A (re-)joining receiver missed the candidates trickled so far; replay them after the offer.
+    for (const candidate of peer?.localCandidates ?? []) sendIceSignal(candidate);
+    if (peer?.localCandidatesDone) sendIceSignal(null);
     // hasSentOfferSignal = true; // Allow resending if requested by join
     const statusEl = document.getElementById('cloud-status');
     if (statusEl) statusEl.textContent = "Establishing P2P connection...";
@@ -2257,6 +4004,13 @@ function trySendOfferSignal() {
   }
 }
 
+// Trickled candidates ride on "signal" messages too: `ice` carries one, `iceEnd` marks the last.
+function sendIceSignal(candidate) {
+  if (!signaling?.isConnected) return;
+  const msg = candidate ? { type: "signal", ice: candidate } : { type: "signal", iceEnd: 1 };
+  void signaling.send(JSON.stringify(msg));
+}
+
 function setupSenderSignaling() {
   const code = currentCloudRoomCode;
   if (!code) return;
@@ -2271,23 +4025,154 @@ function setupSenderSignaling() {
       trySendOfferSignal();
   };
   signaling.onError = (err) => {
-      if (statusEl) statusEl.textContent = `Connection error: ${err.message}. (Try reloading?)`;
+      if (statusEl) statusEl.textContent = `Signaling failed: ${err.message}. Press “New code” to try again.`;
+  };
+  // Another sender is already using this code: move to a fresh one before anyone joins.
+  signaling.onRoomTaken = () => {
+      if (currentCloudRoomCode !== code || !document.getElementById("room-code-display")) return;
+      currentCloudRoomCode = generateRoomCode();
+      showSenderRoomCode(currentCloudRoomCode);
+      if (statusEl) statusEl.textContent = "That code was already in use, so here is a new one.";
+      setupSenderSignaling();
+      startCodeExpiry();
   };
   if (signaling.joinTimer) {
     clearInterval(signaling.joinTimer);
     signaling.joinTimer = null;
   }
-  signaling.connect(code);
+  signaling.connect(code, { role: "sender" });
+}
+
+function updateRoomOccupancy(peers) {
+  const el = document.getElementById("room-occupancy");
+  if (!el) return;
+  const count = peers?.length || 0;
+  el.textContent = count ? `👥 ${count} ${count === 1 ? "device" : "devices"} in this room` : "";
+}
+
+// The sender already paired with someone else: stop joining and offer to retry with another code.
+function handleRoomBusy() {
+  if (signaling.joinTimer) {
+    clearInterval(signaling.joinTimer);
+    signaling.joinTimer = null;
+  }
+  signaling.disconnect();
+  try { peer?.close?.(); } catch {}
+  peer = new PeerClient(onPeerStatus, onPeerData);
+  updateRoomOccupancy([]);
+  const btn = document.getElementById("btn-cloud-connect");
+  if (btn) {
+    btn.disabled = false;
+    btn.textContent = "Connect";
+  }
+  showSignalingNotice("Room busy: another device has already paired with this code. Ask the sender for a new one.");
+}
+
+function formatSignalingState(state, info) {
+  switch (state) {
+    case "connecting":
+      return { text: "● Connecting…", color: "var(--text-muted)" };
+    case "connected":
+      return { text: "● Connected", color: "var(--primary)" };
+    case "reconnecting":
+      return {
+        text: info?.delay ? `● Reconnecting (retry in ${Math.ceil(info.delay / 1000)}s)…` : "● Reconnecting…",
+        color: "#ff9f43",
+      };
+    case "failed":
+      return { text: "● Unavailable", color: "#ff6b6b" };
+    default:
+      return { text: "● Not connected", color: "var(--text-muted)" };
+  }
+}
+
+function updateSignalingStateUI(state, info) {
+  const el = document.getElementById("signaling-state");
+  if (!el) return;
+  const { text, color } = formatSignalingState(state, info);
+  el.textContent = text;
+  el.style.color = color;
+}
+
+// Dropped (forged or undecryptable) signaling messages are surfaced in the status line.
+function showSignalingNotice(text) {
+  const el = document.getElementById("cloud-status") || document.getElementById("status-badge");
+  if (el) el.textContent = `⚠️ ${text}`;
 }
 
 function setupSignalingHandlers(isSender) {
   let lastOffer = "";
   let lastAnswer = "";
+  // Client id of the one peer we paired with; the room is locked to it from then on.
+  let pairedPeerId = "";
+  const joinerIds = new Set();
+  let roomStrikes = 0;
+
+  // Joins from extra devices; too many and an unpaired room gets a new code. Only joins that
+  // decrypted count: anyone who can see the room can send junk, and that shouldn't retire the code.
+  const addRoomStrike = () => {
+    roomStrikes += 1;
+    if (roomStrikes < MAX_ROOM_JOIN_STRIKES) return false;
+    if (isSender && !pairedPeerId) void rotateSenderRoom("Too many devices tried to join, so the code was replaced.");
+    return true;
+  };
+
+  signaling.onRejected = (reason) => {
+    console.warn("[Signaling]", reason);
+    showSignalingNotice(reason);
+  };
 
-  signaling.onMessage = async (raw) => {
+  // Presence isn't sealed, so it only feeds the occupancy line; "room busy" comes from the sender's
+  // encrypted reply to our join.
+  signaling.onPresence = (peers) => {
+    updateRoomOccupancy(peers);
+  };
+
+  signaling.onMessage = async (raw, fromId) => {
     let msg;
     try { msg = JSON.parse(raw); } catch { return; }
-    
+
+    if (msg.type === 'busy') {
+      if (!isSender && msg.to === signaling.clientId) handleRoomBusy();
+      return;
+    }
+
+    // Once paired, everything from other peers in the room is ignored (joiners just get "busy").
+    if (pairedPeerId && fromId !== pairedPeerId) {
+      if (isSender && (msg.type === 'join' || msg.type === 'signal') && !msg.ice && !msg.iceEnd) {
+        void signaling.send(JSON.stringify({ type: 'busy', to: fromId }));
+      }
+      return;
+    }
+
+    if (isSender && msg.type === 'join' && !joinerIds.has(fromId)) {
+      joinerIds.add(fromId);
+      // The first joiner is expected; every other device trying the code counts against it.
+      if (joinerIds.size > 1 && addRoomStrike()) return;
+    }
+
+    if (msg.type === 'signal' && (msg.ice || msg.iceEnd)) {
+      if (!peer) return;
+      await peer.addRemoteCandidate(msg.ice && typeof msg.ice === "object" ? msg.ice : null);
+      return;
+    }
+
+    if (msg.type === 'signal' && msg.restart) {
+      const signalCode = msg.content;
+      if (!signalCode || !peer?.pc) return;
+      try {
+        if (isSender) {
+          await peer.applyRestartAnswer(signalCode);
+        } else {
+          const answer = await peer.acceptRestartOffer(signalCode);
+          if (answer) signaling.send(JSON.stringify({ type: 'signal', content: answer, restart: 1 }));
+        }
+      } catch (e) {
+        console.error(e);
+      }
+      return;
+    }
+
     if (msg.type === 'signal') {
       const signalCode = msg.content;
       if (!signalCode || !peer) return;
@@ -2305,7 +4190,15 @@ function setupSignalingHandlers(isSender) {
         // Sender only accepts Answer; ignore Offer/others (including loopback).
         if (signalType !== "answer") return;
         if (signalCode === lastAnswer) return;
+        if (pairedPeerId && fromId !== pairedPeerId) {
+          // Another receiver answered while this one was being decoded.
+          void signaling.send(JSON.stringify({ type: 'busy', to: fromId }));
+          return;
+        }
         lastAnswer = signalCode;
+        pairedPeerId = fromId;
+        void signaling.updatePresence({ pairedWith: fromId });
+        stopCodeExpiry("Paired");
 
         if (signaling.joinTimer) {
           clearInterval(signaling.joinTimer);
@@ -2323,16 +4216,18 @@ function setupSignalingHandlers(isSender) {
 
       // Receiver only accepts Offer; ignore Answer/others (including loopback).
       if (signalType !== "offer") return;
-      if (signalCode === lastOffer) return;
-      lastOffer = signalCode;
-
-      if (signaling.joinTimer) { // Stop retrying join once we actually get an offer
+      // Stop retrying join once we actually get an offer (a repeat after a resubscribe counts too).
+      if (signaling.joinTimer) {
         clearInterval(signaling.joinTimer);
         signaling.joinTimer = null;
       }
+      if (signalCode === lastOffer) return;
+      lastOffer = signalCode;
+      pairedPeerId = fromId;
 
       try {
-        const answer = await peer.createAnswer(signalCode);
+        peer.onLocalCandidate = (candidate) => sendIceSignal(candidate);
+        const answer = await peer.createAnswer(signalCode, { trickle: true });
         signaling.send(JSON.stringify({ type: 'signal', content: answer }));
       } catch (e) {
         console.error(e);
@@ -2348,9 +4243,644 @@ function setupSignalingHandlers(isSender) {
   };
 }
 
+// --- Nearby discovery ---
+// Devices on the Nearby view join a lobby room named after their network (the public address STUN
+// sees) or a group name they typed. Presence lists who is there. Anyone on that network can compute
+// the lobby key, so the invite and its reply only carry ECDH public keys; once accepted, the inviter
+// sends a fresh room code sealed for the invitee alone, and the usual sender/receiver flow takes it
+// from there with the SAS check required.
+const NEARBY_INVITE_TIMEOUT_MS = 60_000;
+let nearby = null; // lobby signaling; separate from `signaling`, which the pairing itself uses
+let nearbyGen = 0;
+let nearbyInvite = null; // outgoing: { to, name, keys, timer }
+let nearbyIncoming = null; // incoming, waiting for Accept/Decline: { from, name, publicKey }
+let nearbyAccepted = null; // incoming, accepted and waiting for the sealed code: { from, name, key, timer }
+
+function getDefaultDeviceName() {
+  const ua = navigator.userAgent || "";
+  let os = "Device";
+  if (/iPhone/.test(ua)) os = "iPhone";
+  else if (/iPad/.test(ua)) os = "iPad";
+  else if (/Android/.test(ua)) os = "Android";
+  else if (/Mac OS X/.test(ua)) os = "Mac";
+  else if (/Windows/.test(ua)) os = "Windows PC";
+  else if (/Linux/.test(ua)) os = "Linux PC";
+  let browser = "";
+  if (/Edg\//.test(ua)) browser = "Edge";
+  else if (/Firefox\//.test(ua)) browser = "Firefox";
+  else if (/Chrome\//.test(ua)) browser = "Chrome";
+  else if (/Safari\//.test(ua)) browser = "Safari";
+  return browser ? `${browser} on ${os}` : os;
+}
+
+function getNearbyName() {
+  return webrtcConfig.nearbyName || getDefaultDeviceName();
+}
+
+function setNearbyStatus(text) {
+  const el = document.getElementById("nearby-status");
+  if (el) el.textContent = text;
+}
+
+// The lobby key never leaves the device in the clear; the room name is a hash of it.
+async function getNearbyRoomId() {
+  let key = "";
+  if (webrtcConfig.nearbyGroup) {
+    key = `group:${webrtcConfig.nearbyGroup.toLowerCase()}`;
+  } else {
+    const hint = webrtcConfig.useStun ? await getPublicNetworkHint(webrtcConfig.stunUrls) : "";
+    if (!hint) return "";
+    key = `net:${hint}`;
+  }
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`sharefile-nearby:${key}`)));
+  return `nearby-${Array.from(digest.slice(0, 12), (b) => b.toString(16).padStart(2, "0")).join("")}`;
+}
+
+window.openNearby = async () => {
+  ++flowGeneration;
+  currentRole = null;
+  try { peer?.close?.(); } catch {}
+  dropInterruptedTransfers();
+  signaling.disconnect();
+  router("nearby");
+  await startNearby();
+};
+
+window.closeNearby = () => {
+  router("role");
+};
+
+async function startNearby() {
+  stopNearby();
+  const myGen = nearbyGen;
+  renderNearbyList([]);
+  if (!globalThis.crypto?.subtle) {
+    setNearbyStatus("⚠️ Nearby discovery needs a secure context (HTTPS).");
+    return;
+  }
+  setNearbyStatus(webrtcConfig.nearbyGroup ? "Joining your group…" : "Looking for your network…");
+  let roomId = "";
+  try {
+    roomId = await getNearbyRoomId();
+  } catch (err) {
+    console.error(err);
+  }
+  if (nearbyGen !== myGen) return;
+  if (!roomId) {
+    setNearbyStatus("⚠️ Couldn't detect your network. Enter the same group name on both devices instead.");
+    return;
+  }
+
+  const lobby = createSignalingService();
+  nearby = lobby;
+  lobby.onOpen = () => setNearbyStatus(`Visible to others as “${getNearbyName()}”.`);
+  lobby.onPresence = (peers) => {
+    // Drop invites from or to a device that has left the lobby.
+    const present = new Set(peers.map((p) => p.id));
+    if (nearbyIncoming && !present.has(nearbyIncoming.from)) {
+      nearbyIncoming = null;
+      showNearbyInvitePrompt();
+    }
+    if (nearbyInvite && !present.has(nearbyInvite.to)) {
+      clearTimeout(nearbyInvite.timer);
+      setNearbyStatus(`${nearbyInvite.name} left.`);
+      nearbyInvite = null;
+    }
+    if (nearbyAccepted && !present.has(nearbyAccepted.from)) {
+      clearTimeout(nearbyAccepted.timer);
+      setNearbyStatus(`${nearbyAccepted.name} left.`);
+      nearbyAccepted = null;
+    }
+    renderNearbyList(peers);
+  };
+  lobby.onMessage = (raw, fromId) => handleNearbyMessage(raw, fromId);
+  lobby.onError = (err) => setNearbyStatus(`⚠️ Nearby discovery is unavailable (${err.message}).`);
+  lobby.onStateChange = (state) => {
+    if (state === "reconnecting") setNearbyStatus("Reconnecting…");
+  };
+  await lobby.connect(roomId, { role: "nearby", meta: { name: getNearbyName() } });
+}
+
+function stopNearby() {
+  nearbyGen += 1;
+  if (nearbyInvite?.timer) clearTimeout(nearbyInvite.timer);
+  if (nearbyAccepted?.timer) clearTimeout(nearbyAccepted.timer);
+  nearbyInvite = null;
+  nearbyIncoming = null;
+  nearbyAccepted = null;
+  const lobby = nearby;
+  nearby = null;
+  lobby?.disconnect();
+}
+
+// Name changes only republish presence; a new group means a different lobby.
+window.updateNearbySettings = () => {
+  const name = document.getElementById("nearby-name");
+  const group = document.getElementById("nearby-group");
+  const prevGroup = webrtcConfig.nearbyGroup;
+  if (name) setNearbyName(name.value);
+  if (group) setNearbyGroup(group.value);
+  if (webrtcConfig.nearbyGroup !== prevGroup) {
+    void startNearby();
+    return;
+  }
+  if (nearby?.isConnected) {
+    void nearby.updatePresence({ name: getNearbyName() });
+    setNearbyStatus(`Visible to others as “${getNearbyName()}”.`);
+  }
+};
+
+function renderNearbyList(peers) {
+  const el = document.getElementById("nearby-list");
+  if (!el) return;
+  const others = (peers || []).filter((p) => p.role === "nearby" && p.id !== nearby?.clientId);
+  if (!others.length) {
+    el.innerHTML = `<p class="nearby-empty">No other devices yet.</p>`;
+    return;
+  }
+  el.innerHTML = others
+    .map((p) => {
+      const pending = nearbyInvite?.to === p.id;
+      return `
+        <button type="button" class="nearby-device" data-action="inviteNearby" data-peer="${escapeHtml(p.id)}"${nearbyInvite ? " disabled" : ""}>
+          <span class="nearby-device-name">${escapeHtml(p.name || "Unnamed device")}</span>
+          <span class="nearby-device-action">${pending ? "Waiting…" : "Connect"}</span>
+        </button>`;
+    })
+    .join("");
+}
+
+window.inviteNearby = async (peerId) => {
+  const lobby = nearby;
+  if (!lobby?.isConnected || nearbyInvite || nearbyIncoming || nearbyAccepted) return;
+  const target = lobby.peers.find((p) => p.id === peerId);
+  if (!target) return;
+  const name = target.name || "the other device";
+  let keys;
+  try {
+    keys = await createInviteKeys();
+  } catch (err) {
+    console.error(err);
+    setNearbyStatus("⚠️ Couldn't create an invite in this browser.");
+    return;
+  }
+  if (nearby !== lobby || nearbyInvite || nearbyIncoming || nearbyAccepted) return;
+  const invite = {
+    to: peerId,
+    name,
+    keys,
+    timer: setTimeout(() => {
+      if (nearbyInvite !== invite) return;
+      nearbyInvite = null;
+      setNearbyStatus(`${name} didn't answer.`);
+      renderNearbyList(nearby?.peers);
+    }, NEARBY_INVITE_TIMEOUT_MS),
+  };
+  nearbyInvite = invite;
+  renderNearbyList(lobby.peers);
+  setNearbyStatus(`Waiting for ${name} to accept…`);
+  await lobby.send(JSON.stringify({ type: "nearby-invite", to: peerId, name: getNearbyName(), key: keys.publicKey }));
+};
+
+function showNearbyInvitePrompt() {
+  const box = document.getElementById("nearby-invite");
+  if (!box) return;
+  if (!nearbyIncoming) {
+    box.style.display = "none";
+    box.textContent = "";
+    return;
+  }
+  box.innerHTML = `
+    <p style="margin:0"><strong>${escapeHtml(nearbyIncoming.name)}</strong> wants to connect.</p>
+    <div class="nearby-invite-actions">
+      <button type="button" class="btn btn-primary" style="width:auto; padding:6px 16px; font-size:13px" data-action="answerNearbyInvite" data-accept="1">Accept</button>
+      <button type="button" class="btn" style="width:auto; padding:6px 16px; font-size:13px" data-action="answerNearbyInvite" data-accept="0">Decline</button>
+    </div>`;
+  box.style.display = "";
+}
+
+window.answerNearbyInvite = async (accept) => {
+  const invite = nearbyIncoming;
+  const lobby = nearby;
+  if (!invite || !lobby) return;
+  nearbyIncoming = null;
+  showNearbyInvitePrompt();
+  const decline = () => lobby.send(JSON.stringify({ type: "nearby-reply", to: invite.from, accept: 0 }));
+  if (!accept) {
+    await decline();
+    return;
+  }
+
+  let keys;
+  let key;
+  try {
+    keys = await createInviteKeys();
+    key = await deriveInviteKey(keys.keyPair, invite.publicKey);
+  } catch (err) {
+    console.error(err);
+    setNearbyStatus(`⚠️ Couldn't answer ${invite.name}'s invite.`);
+    await decline();
+    return;
+  }
+  if (nearby !== lobby) return;
+  const accepted = {
+    from: invite.from,
+    name: invite.name,
+    key,
+    timer: setTimeout(() => {
+      if (nearbyAccepted !== accepted) return;
+      nearbyAccepted = null;
+      setNearbyStatus(`${invite.name} didn't follow up.`);
+    }, NEARBY_INVITE_TIMEOUT_MS),
+  };
+  nearbyAccepted = accepted;
+  setNearbyStatus(`Connecting to ${invite.name}…`);
+  await lobby.send(JSON.stringify({ type: "nearby-reply", to: invite.from, accept: 1, key: keys.publicKey }));
+};
+
+async function handleNearbyMessage(raw, fromId) {
+  let msg;
+  try { msg = JSON.parse(raw); } catch { return; }
+  if (!nearby || msg?.to !== nearby.clientId) return;
+
+  if (msg.type === "nearby-invite") {
+    if (typeof msg.key !== "string" || !msg.key) return;
+    // One invite at a time; anyone else hears "busy" straight away.
+    if (nearbyInvite || nearbyAccepted || (nearbyIncoming && nearbyIncoming.from !== fromId)) {
+      void nearby.send(JSON.stringify({ type: "nearby-reply", to: fromId, accept: 0, busy: 1 }));
+      return;
+    }
+    nearbyIncoming = { from: fromId, name: String(msg.name || "").slice(0, 40) || "A nearby device", publicKey: msg.key };
+    showNearbyInvitePrompt();
+    return;
+  }
+
+  if (msg.type === "nearby-reply") {
+    const invite = nearbyInvite;
+    const lobby = nearby;
+    if (!invite || invite.to !== fromId) return;
+    clearTimeout(invite.timer);
+    nearbyInvite = null;
+    if (!msg.accept) {
+      setNearbyStatus(msg.busy ? `${invite.name} is busy with another request.` : `${invite.name} declined.`);
+      renderNearbyList(lobby.peers);
+      return;
+    }
+    const code = generateRoomCode();
+    try {
+      const key = await deriveInviteKey(invite.keys, String(msg.key ?? ""));
+      const box = await sealInviteCode(key, code, `${lobby.clientId}|${fromId}`);
+      // Wait for the code to go out before leaving the lobby.
+      await lobby.send(JSON.stringify({ type: "nearby-code", to: fromId, box }));
+    } catch (err) {
+      console.error(err);
+      setNearbyStatus(`⚠️ Couldn't finish pairing with ${invite.name}.`);
+      renderNearbyList(lobby.peers);
+      return;
+    }
+    if (nearby !== lobby) return;
+    stopNearby();
+    await window.startFlow("sender", { code, requireSas: true });
+    return;
+  }
+
+  if (msg.type === "nearby-code") {
+    const accepted = nearbyAccepted;
+    const lobby = nearby;
+    if (!accepted || accepted.from !== fromId) return;
+    const code = parseRoomCode(await openInviteCode(accepted.key, msg.box, `${fromId}|${lobby.clientId}`));
+    if (!code || nearbyAccepted !== accepted) return;
+    stopNearby();
+    await joinWithCode(code, { requireSas: true });
+  }
+}
+
+// --- Network test ---
+let networkTestGen = 0;
+let networkTestReport = ""; // plain text of the last finished test, for "Copy results"
+
+const NETWORK_ADVICE_STYLE = {
+  error: { icon: "⛔", color: "#ff6b6b" },
+  warn: { icon: "⚠️", color: "#ff9f43" },
+  ok: { icon: "✓", color: "var(--primary)" },
+};
+
+function formatAvailability(value) {
+  if (value === null) return "unknown (addresses hidden)";
+  return value ? "yes" : "no";
+}
+
+function formatTurnTransport(state) {
+  if (state === "ok") return "works";
+  if (state === "failed") return "no answer";
+  return "not configured";
+}
+
+// [label, value] rows shared by the results list and the copied report.
+function describeNetworkTest(result) {
+  const { types, turn } = result;
+  const rows = [
+    ["Candidates", Object.entries(types).map(([type, n]) => `${type} ${n}`).join(", ")],
+    ["Local addresses", result.mdns ? "hidden behind mDNS (.local)" : result.localAddresses.join(", ") || "-"],
+    ["Public address", result.publicAddresses.join(", ") || "-"],
+    ["IPv4", formatAvailability(result.ipv4)],
+    ["IPv6", formatAvailability(result.ipv6)],
+    ["STUN", !result.stunConfigured ? "off" : types.srflx ? "works" : "no answer"],
+  ];
+  if (!result.turnConfigured && result.turnRest !== "failed") {
+    rows.push(["TURN", "not configured"]);
+  } else {
+    rows.push(["TURN over UDP", formatTurnTransport(turn.udp)]);
+    rows.push(["TURN over TCP", formatTurnTransport(turn.tcp)]);
+    rows.push(["TURN over TLS", formatTurnTransport(turn.tls)]);
+  }
+  if (result.turnRest !== "off") rows.push(["Credential endpoint", result.turnRest === "ok" ? "works" : "failed"]);
+  for (const e of result.errors.slice(0, 5)) rows.push(["ICE error", `${e.code || "-"} ${e.text} ${e.url}`.trim()]);
+  return rows;
+}
+
+function setNetworkTestStatus(text, color = "var(--text-muted)") {
+  const el = document.getElementById("nettest-status");
+  if (!el) return;
+  el.textContent = text;
+  el.style.color = color;
+}
+
+window.openNetworkTest = async () => {
+  // The test and a pairing attempt would gather candidates side by side; end the attempt first.
+  ++flowGeneration;
+  currentRole = null;
+  try { peer?.close?.(); } catch {}
+  dropInterruptedTransfers();
+  signaling.disconnect();
+  router("nettest");
+  await window.runNetworkTest();
+};
+
+window.closeNetworkTest = () => {
+  ++networkTestGen;
+  router("role");
+};
+
+window.runNetworkTest = async () => {
+  const myGen = ++networkTestGen;
+  const runBtn = document.getElementById("nettest-run");
+  const copyBtn = document.getElementById("nettest-copy");
+  if (runBtn) runBtn.disabled = true;
+  if (copyBtn) copyBtn.disabled = true;
+  const resultsEl = document.getElementById("nettest-results");
+  const adviceEl = document.getElementById("nettest-advice");
+  if (resultsEl) resultsEl.innerHTML = "";
+  if (adviceEl) adviceEl.innerHTML = "";
+  setNetworkTestStatus("Testing… this takes a few seconds.");
+
+  let result;
+  try {
+    result = await runNetworkTest(webrtcConfig);
+  } catch (err) {
+    console.error(err);
+    if (myGen !== networkTestGen) return;
+    setNetworkTestStatus(`⚠️ The test couldn't run: ${err?.message ?? String(err)}`, "#ff6b6b");
+    if (runBtn) runBtn.disabled = false;
+    return;
+  }
+  if (myGen !== networkTestGen) return;
+
+  const rows = describeNetworkTest(result);
+  const advice = getNetworkAdvice(result, webrtcConfig);
+  const worst = advice[0]?.level ?? "ok";
+  setNetworkTestStatus(
+    worst === "error" ? "Problems found" : worst === "warn" ? "Works, with caveats" : "All good",
+    NETWORK_ADVICE_STYLE[worst].color
+  );
+  if (resultsEl) {
+    resultsEl.innerHTML = rows.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join("");
+  }
+  if (adviceEl) {
+    adviceEl.innerHTML = advice
+      .map((a) => {
+        const style = NETWORK_ADVICE_STYLE[a.level];
+        return `<li style="border-color:${style.color}"><span style="color:${style.color}">${style.icon}</span> ${escapeHtml(a.text)}</li>`;
+      })
+      .join("");
+  }
+
+  networkTestReport = [
+    `share-file.online network test, ${new Date().toISOString()}`,
+    `Browser: ${navigator.userAgent}`,
+    "",
+    ...rows.map(([label, value]) => `${`${label}:`.padEnd(21)}${value}`),
+    "",
+    ...advice.map((a) => `[${a.level}] ${a.text}`),
+  ].join("\n");
+  if (runBtn) runBtn.disabled = false;
+  if (copyBtn) copyBtn.disabled = false;
+};
+
+window.copyNetworkTest = async (btn) => {
+  if (!networkTestReport) return;
+  await copyWithFeedback(btn, networkTestReport);
+};
+
+// --- Settings panel ---
+// A dialog over whatever page is open (so an active session survives a visit). Fields map to
+// webrtcConfig through data-setting; saving validates everything first and then applies it all.
+function renderSettingsCheckbox(field, label, { toggles = "", disabled = false, hint = "" } = {}) {
+  return `
+    <label class="settings-check">
+      <input type="checkbox" data-setting="${field}"${toggles ? ` data-toggles="${toggles}"` : ""}${webrtcConfig[field] ? " checked" : ""}${disabled ? " disabled" : ""}>
+      <span>${label}${hint ? `<small>${hint}</small>` : ""}</span>
+    </label>`;
+}
+
+function renderSettingsInput(field, label, value, { type = "text", placeholder = "", extra = "" } = {}) {
+  return `
+    <label class="settings-field">
+      <span>${label}</span>
+      <input type="${type}" data-setting="${field}" value="${escapeHtml(value)}" placeholder="${escapeHtml(placeholder)}" autocomplete="off" autocapitalize="off" spellcheck="false"${extra}>
+    </label>`;
+}
+
+function renderSettingsPanel() {
+  const compression = hasStreamCompression();
+  return `
+    <form class="settings-form" novalidate>
+      <div class="settings-header">
+        <h2 id="settings-title">Settings</h2>
+        <button type="button" class="btn" style="width:auto; padding:4px 12px; font-size:12px" data-action="closeSettings">Close</button>
+      </div>
+      <p class="settings-note">Saved in this browser. Changes apply to the next connection.</p>
+
+      <fieldset>
+        <legend>Connection</legend>
+        ${renderSettingsCheckbox("useStun", "Use STUN servers", { hint: "Finds your public address so devices on different networks can connect." })}
+        ${renderSettingsInput("stunUrls", "STUN servers (comma-separated)", webrtcConfig.stunUrls.join(", "), { placeholder: "stun:stun.example.com:3478" })}
+        ${renderSettingsCheckbox("useFastTransfer", "Fast transfer", { hint: "Several file channels and bigger write batches." })}
+        ${renderSettingsCheckbox("useUnorderedFileChannel", "Unordered file channels", { hint: "Lets chunks arrive out of order; usually faster." })}
+        ${renderSettingsCheckbox("useSignalCompression", "Compress connection codes", { disabled: !compression, hint: compression ? "" : "Not supported by this browser." })}
+      </fieldset>
+
+      <fieldset>
+        <legend>Local network</legend>
+        ${renderSettingsCheckbox("useLanIpOverride", "Announce a fixed LAN IP", { toggles: "lan-ip-override-box", hint: "For networks where the .local names browsers use don't resolve." })}
+        <div id="lan-ip-override-box"${webrtcConfig.useLanIpOverride ? "" : ' style="display:none"'}>
+          ${renderSettingsInput("lanIpOverride", "This device's IPv4 address", webrtcConfig.lanIpOverride, { placeholder: "192.168.1.10", extra: ' inputmode="decimal"' })}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend>TURN relay</legend>
+        ${renderSettingsCheckbox("useTurn", "Use a TURN server", { toggles: "turn-config-box", hint: "Relays the connection when no direct path works." })}
+        <div id="turn-config-box"${webrtcConfig.useTurn ? "" : ' style="display:none"'}>
+          ${renderSettingsInput("turnUrl", "TURN URLs (comma-separated)", webrtcConfig.turnUrl, { placeholder: "turn:turn.example.com:3478" })}
+          ${renderSettingsInput("turnRestUrl", "Credential endpoint (TURN REST API)", webrtcConfig.turnRestUrl, { type: "url", placeholder: "https://example.com/turn-credentials" })}
+          ${renderSettingsInput("turnUsername", "Username (without an endpoint)", webrtcConfig.turnUsername)}
+          ${renderSettingsInput("turnCredential", "Password (without an endpoint)", webrtcConfig.turnCredential, { type: "password" })}
+          ${renderSettingsCheckbox("forceTurnRelay", "Always relay", { hint: "Hides your IP addresses from the other side; slower." })}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend>Pairing</legend>
+        ${renderSettingsCheckbox("requireSasConfirm", "Hold file sending until the security emojis are confirmed")}
+        ${renderSettingsInput("codeLifetimeSec", "Room code lifetime (minutes, 0 = never)", String(webrtcConfig.codeLifetimeSec / 60), { type: "number", extra: ' min="0" step="0.5" inputmode="decimal"' })}
+        ${renderSettingsInput("nearbyGroup", "Nearby group (blank = same network)", webrtcConfig.nearbyGroup)}
+      </fieldset>
+
+      <div id="settings-message" class="settings-message" role="status" aria-live="polite"></div>
+      <div class="settings-actions">
+        <button type="button" class="btn btn-primary" style="width:auto; padding:8px 20px; font-size:14px" data-action="saveSettings">Save</button>
+        <button type="button" class="btn" style="width:auto; padding:8px 16px; font-size:13px" data-action="exportSettings">Export…</button>
+        <button type="button" class="btn" style="width:auto; padding:8px 16px; font-size:13px" data-action="importSettings">Import…</button>
+        <button type="button" class="btn" style="width:auto; padding:8px 16px; font-size:13px" data-action="resetSettings">Reset to defaults</button>
+        <input type="file" id="settings-import-input" accept="application/json,.json" style="display:none">
+      </div>
+    </form>`;
+}
+
+function showSettingsMessage(text, isError = false) {
+  const el = document.getElementById("settings-message");
+  if (!el) return;
+  el.textContent = text;
+  el.style.color = isError ? "#ff6b6b" : "var(--primary)";
+}
+
+function toggleSettingsBox(checkbox) {
+  const box = document.getElementById(checkbox.dataset.toggles);
+  if (box) box.style.display = checkbox.checked ? "" : "none";
+}
+
+function readSettingsForm() {
+  const values = {};
+  for (const el of settingsDialog?.querySelectorAll("[data-setting]") ?? []) {
+    const field = el.dataset.setting;
+    if (el.type === "checkbox") {
+      if (!el.disabled) values[field] = el.checked;
+    } else if (field === "stunUrls") {
+      values[field] = el.value.split(/[\s,]+/).filter(Boolean);
+    } else if (field === "codeLifetimeSec") {
+      values[field] = el.value.trim() === "" ? NaN : Math.round(Number(el.value) * 60);
+    } else {
+      values[field] = field === "turnCredential" ? el.value : el.value.trim();
+    }
+  }
+  return values;
+}
+
+window.openSettings = () => {
+  if (!settingsDialog) return;
+  settingsDialog.innerHTML = renderSettingsPanel();
+  if (typeof settingsDialog.showModal === "function") {
+    if (!settingsDialog.open) settingsDialog.showModal();
+  } else {
+    settingsDialog.setAttribute("open", "");
+  }
+};
+
+window.closeSettings = () => {
+  if (!settingsDialog) return;
+  if (typeof settingsDialog.close === "function") settingsDialog.close();
+  else settingsDialog.removeAttribute("open");
+};
+
+window.saveSettings = () => {
+  const values = readSettingsForm();
+  const errors = Object.entries(values).map(([field, value]) => validateSetting(field, value)).filter(Boolean);
+  if (!Number.isFinite(values.codeLifetimeSec) || values.codeLifetimeSec < 0) errors.unshift("Enter the code lifetime in minutes (0 = never).");
+  if (values.useLanIpOverride && !values.lanIpOverride) errors.push("Enter the LAN IP to announce, or turn the override off.");
+  if (values.useTurn && !values.turnUrl && !values.turnRestUrl) errors.push("Enter a TURN URL or a credential endpoint, or turn TURN off.");
+  if (errors.length) {
+    showSettingsMessage(`⚠️ ${errors[0]}`, true);
+    return;
+  }
+  const { errors: importErrors } = importSettings(values);
+  if (importErrors.length) {
+    showSettingsMessage(`⚠️ ${importErrors[0]}`, true);
+    return;
+  }
+  releaseSasHeldSends();
+  showSettingsMessage("Saved. Changes apply to the next connection.");
+};
+
+window.resetSettingsToDefaults = () => {
+  if (!confirm("Reset all settings to their defaults?")) return;
+  resetSettings();
+  releaseSasHeldSends();
+  window.openSettings();
+  showSettingsMessage("Settings reset to defaults.");
+};
+
+window.exportSettingsFile = () => {
+  const blob = new Blob([JSON.stringify(exportSettings(), null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "share-file-settings.json";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  if (webrtcConfig.turnCredential) showSettingsMessage("Exported. The file includes your TURN password, so share it with care.");
+};
+
+window.importSettingsFile = async (input) => {
+  const file = input?.files?.[0];
+  if (input) input.value = "";
+  if (!file) return;
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    showSettingsMessage("⚠️ That file isn't valid JSON.", true);
+    return;
+  }
+  const { applied, ignored, errors } = importSettings(data);
+  if (errors.length) {
+    showSettingsMessage(`⚠️ Nothing was imported: ${errors[0]}`, true);
+    return;
+  }
+  releaseSasHeldSends();
+  window.openSettings();
+  showSettingsMessage(
+    `Imported ${applied.length} ${applied.length === 1 ? "setting" : "settings"} from ${file.name}.${
+      ignored.length ? ` Skipped unknown: ${ignored.join(", ")}.` : ""
+    }`
+  );
+};
+
+document.getElementById("settings-link")?.addEventListener("click", () => window.openSettings());
+// Enter in a field saves instead of submitting the form (which would reload the page).
+settingsDialog?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  window.saveSettings();
+});
+
 // Init
 enableReducedEffectsIfNeeded();
+// Without a save picker, incoming files go through the download service worker; install it up front.
+if (typeof window.showSaveFilePicker !== "function") void registerDownloadWorker();
 window.addEventListener("beforeunload", () => {
   try { peer?.close?.(); } catch {}
+  dropInterruptedTransfers();
 });
-router('role');
+if (!startFromJoinLink()) router('role');
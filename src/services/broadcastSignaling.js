@@ -0,0 +1,143 @@
+import { SignalingTransport } from "./signalingTransport.js";
+
+// Same-browser backend: tabs of one origin (and browser profile) meet on a BroadcastChannel named
+// after the room. Nothing leaves the machine, so this works with no server at all. Presence is
+// gossiped between tabs: each tab re-announces itself periodically and is forgotten once it goes quiet.
+const LOCAL_HEARTBEAT_MS = 2000;
+const LOCAL_PEER_TIMEOUT_MS = 3 * LOCAL_HEARTBEAT_MS;
+// Our own presence entry is held back until the other tabs have had a chance to answer the hello,
+// so a sender's room claim sees them first.
+const LOCAL_PRESENCE_SETTLE_MS = 200;
+
+function hasBroadcastChannel() {
+  return typeof BroadcastChannel === "function";
+}
+
+export class BroadcastSignalingService extends SignalingTransport {
+  constructor() {
+    super();
+    this.bc = null;
+    this._members = new Map(); // clientId -> { meta, seenAt }
+    this._selfMeta = null;
+    this._settled = false;
+    this._heartbeatTimer = 0;
+    this._settleTimer = 0;
+    this._onPageHide = () => this._post({ op: "bye", id: this.clientId });
+  }
+
+  async _transportConnect(channelId) {
+    if (!hasBroadcastChannel()) throw new Error("BroadcastChannel isn't available in this browser");
+    console.log("Connecting to local room:", channelId);
+
+    const bc = new BroadcastChannel(`sharefile-signal:${channelId}`);
+    this.bc = bc;
+    this._members.clear();
+    this._selfMeta = null;
+    this._settled = false;
+
+    bc.onmessage = ({ data }) => {
+      if (this.bc !== bc) return;
+      this._handleLocalMessage(data);
+    };
+    this._post({ op: "hello", id: this.clientId });
+
+    this._heartbeatTimer = setInterval(() => {
+      if (this._selfMeta) this._post({ op: "state", id: this.clientId, meta: this._selfMeta });
+      this._pruneMembers();
+    }, LOCAL_HEARTBEAT_MS);
+    this._settleTimer = setTimeout(() => {
+      this._settleTimer = 0;
+      this._settled = true;
+      this._emitPresence();
+    }, LOCAL_PRESENCE_SETTLE_MS);
+    addEventListener("pagehide", this._onPageHide);
+
+    // Joining a BroadcastChannel can't fail or take time; report it once connect() has returned.
+    setTimeout(() => {
+      if (this.bc !== bc) return;
+      console.log(`[Signaling] Room ${channelId} subscription status: SUBSCRIBED (local)`);
+      this._handleSubscribed();
+    }, 0);
+  }
+
+  _handleLocalMessage(msg) {
+    const id = typeof msg?.id === "string" ? msg.id : "";
+    switch (msg?.op) {
+      case "hello":
+        // A tab just joined; tell it who we are right away instead of at the next heartbeat.
+        if (this._selfMeta) this._post({ op: "state", id: this.clientId, meta: this._selfMeta });
+        break;
+      case "state":
+        if (!id || !msg.meta || typeof msg.meta !== "object") return;
+        this._members.set(id, { meta: msg.meta, seenAt: Date.now() });
+        this._emitPresence();
+        break;
+      case "bye":
+        if (this._members.delete(id)) this._emitPresence();
+        break;
+      case "msg":
+        this._handlePayload(msg.payload);
+        break;
+      default:
+        break;
+    }
+  }
+
+  _pruneMembers() {
+    const cutoff = Date.now() - LOCAL_PEER_TIMEOUT_MS;
+    let changed = false;
+    for (const [id, member] of this._members) {
+      if (member.seenAt >= cutoff) continue;
+      this._members.delete(id);
+      changed = true;
+    }
+    if (changed) this._emitPresence();
+  }
+
+  _emitPresence() {
+    const state = {};
+    for (const [id, member] of this._members) state[id] = [member.meta];
+    if (this._settled && this._selfMeta) state[this.clientId] = [this._selfMeta];
+    this._handlePresenceState(state);
+  }
+
+  _post(msg) {
+    try {
+      this.bc?.postMessage(msg);
+      return "ok";
+    } catch (err) {
+      return err?.message || "post failed";
+    }
+  }
+
+  async _transportSend(payload) {
+    if (!this.bc) return "not connected";
+    return this._post({ op: "msg", payload });
+  }
+
+  async _transportTrack(meta) {
+    if (!this.bc) return "not connected";
+    this._selfMeta = meta;
+    const res = this._post({ op: "state", id: this.clientId, meta });
+    this._emitPresence();
+    return res;
+  }
+
+  _transportClose() {
+    if (this._heartbeatTimer) clearInterval(this._heartbeatTimer);
+    if (this._settleTimer) clearTimeout(this._settleTimer);
+    this._heartbeatTimer = 0;
+    this._settleTimer = 0;
+    removeEventListener("pagehide", this._onPageHide);
+    const bc = this.bc;
+    if (!bc) return;
+    this._post({ op: "bye", id: this.clientId });
+    this.bc = null;
+    try { bc.close(); } catch {}
+    this._members.clear();
+    this._selfMeta = null;
+    this._settled = false;
+  }
+}
+
+export { hasBroadcastChannel };
@@ -0,0 +1,159 @@
+import { SignalingTransport } from "./signalingTransport.js";
+
+// Joins the same room on several backends at once (e.g. the local BroadcastChannel and Supabase),
+// so two tabs of one browser find each other locally while remote peers still come in over the
+// network. Envelopes go out on every backend that is up and are de-duplicated on the way in.
+// Each backend runs as a link (see SignalingTransport) and reconnects on its own.
+const MAX_SEEN_ENVELOPES = 256;
+// Wait this long for slower backends before opening the room on the ones already joined.
+const COMBINED_SETTLE_MS = 4000;
+
+export class CombinedSignalingService extends SignalingTransport {
+  constructor(transports) {
+    super();
+    this.links = transports.map((transport) => {
+      transport._host = this;
+      transport.clientId = this.clientId;
+      return { transport, synced: false, state: {} };
+    });
+    this._seen = new Set(); // iv of recently delivered envelopes
+    this._settleTimer = 0;
+  }
+
+  _getLink(transport) {
+    return this.links.find((l) => l.transport === transport);
+  }
+
+  async _transportConnect(channelId) {
+    this._seen.clear();
+    for (const link of this.links) Object.assign(link, { synced: false, state: {} });
+    await Promise.all(this.links.map((link) => link.transport._startLink(channelId)));
+  }
+
+  // The room counts as joined once every backend has joined or given up (or the settle time ran
+  // out), so a sender's claim looks at the whole room rather than whichever backend answered first.
+  _maybeSubscribed() {
+    if (this.isConnected) return;
+    const states = this.links.map((l) => l.transport.state);
+    if (!states.includes("connected")) return;
+    if (states.every((s) => s === "connected" || s === "failed")) {
+      this._clearSettleTimer();
+      this._handleSubscribed();
+      return;
+    }
+    if (!this._settleTimer) {
+      this._settleTimer = setTimeout(() => {
+        this._settleTimer = 0;
+        if (this.isConnected || !this.links.some((l) => l.transport.isConnected)) return;
+        this._handleSubscribed();
+        // Some backend is still trying; say so rather than "connected".
+        this._refreshState();
+      }, COMBINED_SETTLE_MS);
+    }
+  }
+
+  _clearSettleTimer() {
+    if (this._settleTimer) clearTimeout(this._settleTimer);
+    this._settleTimer = 0;
+  }
+
+  _onLinkSubscribed(transport) {
+    if (!this.isConnected) {
+      this._maybeSubscribed();
+      return;
+    }
+    // A backend that came back (or came up late) still needs to hear who we are and what we want.
+    if (this._presenceMeta) void transport._transportTrack(this._presenceMeta);
+    this._refreshState();
+    this.onOpen?.();
+  }
+
+  _onLinkState(transport, state, info) {
+    const link = this._getLink(transport);
+    if (!link) return;
+    if (state !== "connected") {
+      link.synced = false;
+      link.state = {};
+    }
+    // Links only go idle when we stop them ourselves.
+    if (state === "idle") return;
+    if (state === "failed") console.warn("[Signaling] One signaling backend failed:", info?.error?.message || "");
+    if (!this.roomId) return;
+
+    if (this.links.every((l) => l.transport.state === "failed")) {
+      this._clearSettleTimer();
+      this.isConnected = false;
+      this._setState("failed", info);
+      this.emitError(info?.error || new Error("Signaling failed"));
+      return;
+    }
+    if (this.isConnected) {
+      if (state !== "connected") this._publishPresence();
+      this._refreshState(info);
+    } else {
+      this._maybeSubscribed();
+    }
+  }
+
+  // Overall state while joined: "reconnecting" as long as any backend is, so the UI can say so
+  // even though the others still carry messages.
+  _refreshState(info) {
+    const states = this.links.map((l) => l.transport.state);
+    let next = "connected";
+    if (states.includes("reconnecting")) next = "reconnecting";
+    else if (states.includes("connecting")) next = "connecting";
+    if (next !== this.state) this._setState(next, info);
+  }
+
+  _onLinkPayload(transport, payload) {
+    const iv = payload?.box?.iv;
+    if (iv) {
+      if (this._seen.has(iv)) return;
+      this._seen.add(iv);
+      if (this._seen.size > MAX_SEEN_ENVELOPES) this._seen.delete(this._seen.values().next().value);
+    }
+    this._handlePayload(payload);
+  }
+
+  _onLinkPresence(transport, state) {
+    const link = this._getLink(transport);
+    if (!link) return;
+    link.state = state || {};
+    if (link.state[this.clientId]) link.synced = true;
+    this._publishPresence();
+  }
+
+  _publishPresence() {
+    const merged = {};
+    const live = this.links.filter((l) => l.transport.isConnected);
+    for (const link of live) {
+      for (const [id, metas] of Object.entries(link.state)) merged[id] = metas;
+    }
+    // Our own entry only counts once every live backend has synced it (see _finishClaim).
+    if (live.some((l) => !l.synced)) delete merged[this.clientId];
+    this._handlePresenceState(merged);
+  }
+
+  async _fanOut(send) {
+    const live = this.links.filter((l) => l.transport.isConnected);
+    if (!live.length) return "not connected";
+    const results = await Promise.all(live.map((l) => send(l.transport).catch((err) => err?.message || String(err))));
+    return results.includes("ok") ? "ok" : results[0];
+  }
+
+  async _transportSend(payload) {
+    return this._fanOut((t) => t._transportSend(payload));
+  }
+
+  async _transportTrack(meta) {
+    return this._fanOut((t) => t._transportTrack(meta));
+  }
+
+  _transportClose() {
+    this._clearSettleTimer();
+    for (const link of this.links) {
+      link.transport._stopLink();
+      Object.assign(link, { synced: false, state: {} });
+    }
+  }
+}
@@ -0,0 +1,130 @@
+import { SignalingTransport } from "./signalingTransport.js";
+
+// Uses one backend at a time from an ordered list (VITE_SIGNALING_BACKENDS). When the active one
+// has used up its reconnect attempts, the next one takes over; the whole list failing in a row is
+// reported as "failed". A peer that joins later starts at the first backend again, so a client that
+// failed over keeps probing the first one and moves back as soon as it answers; that way both sides
+// end up on the preferred backend once it has recovered.
+const ATTEMPTS_PER_BACKEND = 3;
+const PREFERRED_PROBE_MS = 30_000;
+
+export class FailoverSignalingService extends SignalingTransport {
+  constructor(backends) {
+    super();
+    this.backends = backends;
+    for (const backend of backends) {
+      backend._host = this;
+      backend.clientId = this.clientId;
+      backend.maxReconnectAttempts = ATTEMPTS_PER_BACKEND;
+    }
+    this.activeIndex = 0;
+    this._failuresInRow = 0;
+    this._probeTimer = 0;
+    this._probing = false; // the first backend is being tried again while another one is active
+  }
+
+  get activeBackend() {
+    return this.backends[this.activeIndex];
+  }
+
+  async _transportConnect(channelId) {
+    this._stopProbe();
+    this._failuresInRow = 0;
+    // Start from the preferred backend on every new room.
+    this.activeIndex = 0;
+    await this.activeBackend._startLink(channelId);
+  }
+
+  _onLinkSubscribed(backend) {
+    if (this._probing && backend === this.backends[0]) {
+      this._probing = false;
+      const previous = this.activeBackend;
+      this.activeIndex = 0;
+      previous._stopLink();
+      console.warn("[Signaling] The first signaling backend answers again; moving back to it");
+      this._failuresInRow = 0;
+      this._handleSubscribed();
+      return;
+    }
+    if (backend !== this.activeBackend) return;
+    this._failuresInRow = 0;
+    this._handleSubscribed();
+  }
+
+  _onLinkState(backend, state, info) {
+    if (this._probing && backend === this.backends[0]) {
+      // One try per probe; the active backend keeps carrying the room meanwhile.
+      if (state === "reconnecting" || state === "failed") {
+        this._stopProbe();
+        this._scheduleProbe();
+      }
+      return;
+    }
+    if (backend !== this.activeBackend || !this.roomId) return;
+    if (state === "reconnecting") {
+      this.isConnected = false;
+      this._setState("reconnecting", info);
+    } else if (state === "failed") {
+      this._failOver(info?.error);
+    }
+  }
+
+  _failOver(error) {
+    const channelId = this._channelId;
+    this._stopProbe();
+    this.activeBackend._stopLink();
+    this.isConnected = false;
+    this._failuresInRow += 1;
+    if (this._failuresInRow >= this.backends.length) {
+      this._setState("failed", { error });
+      this.emitError(error || new Error("All signaling backends failed"));
+      return;
+    }
+    this.activeIndex = (this.activeIndex + 1) % this.backends.length;
+    console.warn(`[Signaling] Failing over to signaling backend ${this.activeIndex + 1} of ${this.backends.length}`);
+    this._setState("reconnecting", { error, backend: this.activeIndex });
+    void this.activeBackend._startLink(channelId);
+    this._scheduleProbe();
+  }
+
+  _scheduleProbe() {
+    if (this._probeTimer) clearTimeout(this._probeTimer);
+    this._probeTimer = 0;
+    if (this.activeIndex === 0 || !this.roomId) return;
+    this._probeTimer = setTimeout(() => {
+      this._probeTimer = 0;
+      if (this.activeIndex === 0 || !this.roomId) return;
+      this._probing = true;
+      void this.backends[0]._startLink(this._channelId);
+    }, PREFERRED_PROBE_MS);
+  }
+
+  _stopProbe() {
+    if (this._probeTimer) clearTimeout(this._probeTimer);
+    this._probeTimer = 0;
+    if (!this._probing) return;
+    this._probing = false;
+    this.backends[0]._stopLink();
+  }
+
+  _onLinkPayload(backend, payload) {
+    if (backend === this.activeBackend) this._handlePayload(payload);
+  }
+
+  _onLinkPresence(backend, state) {
+    if (backend === this.activeBackend) this._handlePresenceState(state);
+  }
+
+  async _transportSend(payload) {
+    return this.activeBackend._transportSend(payload);
+  }
+
+  async _transportTrack(meta) {
+    return this.activeBackend._transportTrack(meta);
+  }
+
+  _transportClose() {
+    this._stopProbe();
+    this.activeBackend._stopLink();
+  }
+}
@@ -1,112 +1,80 @@
 import { createClient } from "@supabase/supabase-js";
+import { SignalingTransport } from "./signalingTransport.js";
 
-function makeClientId() {
-  try {
-    if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
-  } catch {}
-  return `${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
-}
-
-export class SignalingService {
+// Supabase Realtime backend: Broadcast relays the envelopes, Presence tracks who is in the room.
+export class SignalingService extends SignalingTransport {
   constructor(url, key) {
-    this.supabase = createClient(url, key);
+    super();
+    this.url = url;
+    this.key = key;
+    this.supabase = null; // created on first connect, so an unconfigured deployment still loads
     this.channel = null;
-    this.roomId = null;
-    this.clientId = makeClientId();
-
-    this.onMessage = null; // (dataStr: string) => void
-    this.onOpen = null; // () => void
-    this.onError = null; // (err: Error) => void
-
-    this.isConnected = false;
-    this._lastErrorAt = 0;
-    this._lastErrorMsg = "";
-  }
-
-  emitError(err) {
-    const msg = err instanceof Error ? err.message : String(err);
-    const now = Date.now();
-    if (msg === this._lastErrorMsg && now - this._lastErrorAt < 4000) return;
-    this._lastErrorAt = now;
-    this._lastErrorMsg = msg;
-    this.onError?.(err instanceof Error ? err : new Error(msg));
   }
 
-  async connect(roomId) {
-    this.disconnect();
-    this.roomId = roomId;
-    console.log("Connecting to Supabase room:", roomId);
+  async _transportConnect(channelId) {
+    if (!this.supabase) this.supabase = createClient(this.url, this.key);
+    console.log("Connecting to Supabase room:", channelId);
 
-    // Use Realtime Broadcast for signaling (no DB table/RLS required).
-    this.channel = this.supabase
-      .channel(`room:${roomId}`, {
-        config: {
-          broadcast: { ack: true, self: false },
-        },
-      })
+    // Use Realtime Broadcast for signaling (no DB table/RLS required), and Presence for occupancy.
+    const channel = this.supabase.channel(`room:${channelId}`, {
+      config: {
+        broadcast: { ack: true, self: false },
+        presence: { key: this.clientId },
+      },
+    });
+    this.channel = channel;
+    channel
       .on("broadcast", { event: "msg" }, (packet) => {
-        const payload = packet?.payload;
-        const senderId = payload?.senderId;
-        const dataStr = payload?.dataStr;
-        if (!dataStr) return;
-        if (senderId && senderId === this.clientId) return;
-        this.onMessage?.(dataStr);
+        if (this.channel !== channel) return;
+        this._handlePayload(packet?.payload);
+      })
+      .on("presence", { event: "sync" }, () => {
+        if (this.channel !== channel) return;
+        this._handlePresenceState(channel.presenceState());
       })
       .subscribe((status) => {
-        console.log(`[Signaling] Room ${roomId} subscription status:`, status);
+        console.log(`[Signaling] Room ${channelId} subscription status:`, status);
+        if (this.channel !== channel) return;
         if (status === "SUBSCRIBED") {
-          this.isConnected = true;
-          this.onOpen?.();
+          this._handleSubscribed();
           return;
         }
 
         if (status === "CHANNEL_ERROR") {
           const err = new Error("Channel Error");
-          this.isConnected = false;
           console.error("[Signaling] Channel Error. Check URL/Key or network.", err);
-          this.emitError(err);
+          this._handleTransportLost(err);
           return;
         }
 
         if (status === "TIMED_OUT") {
           const err = new Error("Connection Timed Out");
-          this.isConnected = false;
           console.error("[Signaling] Connection Timed Out.", err);
-          this.emitError(err);
+          this._handleTransportLost(err);
           return;
         }
 
+        // Our own removeChannel() detaches the channel first, so a CLOSED that still gets here
+        // means the server dropped us.
         if (status === "CLOSED") {
-          this.isConnected = false;
+          this._handleTransportLost(new Error("Channel Closed"));
         }
       });
   }
 
-  async send(dataStr) {
-    if (!this.roomId || !this.channel || !this.isConnected) return;
-    try {
-      const res = await this.channel.send({
-        type: "broadcast",
-        event: "msg",
-        payload: { senderId: this.clientId, dataStr },
-      });
-      if (res !== "ok") {
-        const err = new Error(`Realtime Send Failed: ${res}`);
-        console.error("[Signaling] Send failed:", err);
-        this.emitError(err);
-      }
-    } catch (err) {
-      console.error("[Signaling] Send exception:", err);
-      this.emitError(err instanceof Error ? err : new Error(String(err)));
-    }
+  async _transportSend(payload) {
+    if (!this.channel) return "not connected";
+    return this.channel.send({ type: "broadcast", event: "msg", payload });
   }
 
-  disconnect() {
-    if (this.channel) {
-      this.supabase.removeChannel(this.channel);
-      this.channel = null;
-    }
-    this.isConnected = false;
-    this.roomId = null;
+  async _transportTrack(meta) {
+    if (!this.channel) return "not connected";
+    return this.channel.track(meta);
+  }
+
+  _transportClose() {
+    const channel = this.channel;
+    this.channel = null;
+    if (channel) this.supabase.removeChannel(channel);
   }
 }
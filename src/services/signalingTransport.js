@@ -0,0 +1,466 @@
+// Base for signaling backends. A backend only moves opaque envelopes around a room and reports who
+// is in it; sealing, ordering, presence bookkeeping and the room claim live here, so every backend
+// behaves the same towards main.js:
+//
+//   connect(roomId, { role }) / disconnect() / send(dataStr) / updatePresence(meta) / getRoomOwner()
+//   onOpen() / onMessage(dataStr, senderId) / onError(err) / onRejected(reason)
+//   onPresence(peers) / onRoomTaken() / onStateChange(state, info)
+//
+// `state` is "idle" | "connecting" | "connected" | "reconnecting" | "failed". onOpen fires after
+// every (re)subscribe, so callers re-send their join/offer from it.
+//
+// Subclasses implement:
+//   _transportConnect(channelId)  join the room; call _handleSubscribed() once joined,
+//                                 _handlePayload(payload) per relayed envelope, _handlePresenceState(state)
+//                                 on presence changes and _handleTransportLost(err) when the connection
+//                                 fails or drops. `channelId` is a hash of the room code (deriveChannelId);
+//                                 the code itself never reaches a backend
+//   _transportSend(payload)       relay an envelope to the others in the room; resolves to "ok" or a reason
+//   _transportTrack(meta)         publish this client's presence metadata; resolves to "ok" or a reason
+//   _transportClose()             leave the room
+//
+// A backend can also run as a link of another one (CombinedSignalingService, FailoverSignalingService):
+// with `_host` set, it still reconnects on its own but hands everything it receives to the host.
+
+// Signaling payloads are sealed with AES-GCM under a key stretched from the room code and the
+// sender's per-session salt, so others on the channel can neither read the SDP nor inject messages
+// without knowing the code. The backend only sees a hash of the code as the channel name; a short
+// code can still be brute-forced from that, so the SAS check is what rules out a malicious relay.
+const KDF_ITERATIONS = 100_000;
+// Key stretches running at once for salts that haven't decrypted anything yet.
+const MAX_PENDING_KEYS = 16;
+// A sender holds off announcing itself until presence shows whether the room is already taken.
+const PRESENCE_CLAIM_TIMEOUT_MS = 3000;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30_000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function bytesToB64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+function b64ToBytes(b64) {
+  const bin = atob(String(b64 ?? ""));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// Channel name the backend sees: a hash under its own label, never the code the key comes from.
+async function deriveChannelId(roomId) {
+  const digest = await crypto.subtle.digest("SHA-256", textEncoder.encode(`sharefile-channel:${roomId}`));
+  return Array.from(new Uint8Array(digest).slice(0, 16), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function deriveRoomKey(roomId, salt) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    textEncoder.encode(`sharefile-signal:${roomId}`),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations: KDF_ITERATIONS },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Exponential backoff with "equal jitter": half the step is fixed, half random, so clients that
+// lost the same server don't all come back in lockstep.
+function getReconnectDelay(attempt) {
+  const step = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+function makeClientId() {
+  try {
+    if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  } catch {}
+  return `${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
+}
+
+export class SignalingTransport {
+  constructor() {
+    this.roomId = null;
+    this._channelId = ""; // what the backend calls the room (see deriveChannelId)
+    this._connectSeq = 0;
+    this.clientId = makeClientId();
+
+    this.onMessage = null; // (dataStr: string, senderId: string) => void
+    this.onOpen = null; // () => void
+    this.onError = null; // (err: Error) => void
+    this.onRejected = null; // (reason: string) => void, a message was dropped (forged/undecryptable)
+    this.onPresence = null; // (peers: {id, role, since, pairedWith, name}[]) => void
+    this.onRoomTaken = null; // () => void, another sender already owns this room (sender role only)
+    this.onStateChange = null; // (state: string, info?: { attempt, delay, error }) => void
+
+    this.state = "idle";
+    this.maxReconnectAttempts = MAX_RECONNECT_ATTEMPTS;
+    this._reconnectAttempt = 0;
+    this._reconnectTimer = 0;
+    this._opened = false; // onOpen has fired in this room; resubscribes skip the room claim
+    this._host = null;
+
+    this.role = "";
+    this.peers = [];
+    this._presenceMeta = null;
+    this._claimTimer = 0;
+
+    this._salt = null;
+    this._sendKey = null; // Promise<CryptoKey>
+    this._peerKeys = new Map(); // "senderId|salt" -> Promise<CryptoKey>, once a message decrypted with it
+    this._pendingKeys = new Map(); // "senderId|salt" -> Promise<CryptoKey>, until the first decrypt attempt
+    this._recvChain = Promise.resolve();
+    this._sendChain = Promise.resolve();
+
+    this.isConnected = false;
+    this._lastErrorAt = 0;
+    this._lastErrorMsg = "";
+  }
+
+  emitError(err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    const now = Date.now();
+    if (msg === this._lastErrorMsg && now - this._lastErrorAt < 4000) return;
+    this._lastErrorAt = now;
+    this._lastErrorMsg = msg;
+    this.onError?.(err instanceof Error ? err : new Error(msg));
+  }
+
+  // `role` is published through presence: "sender" claims the room, "receiver" just joins it.
+  // `meta` adds fields of its own to what presence publishes (e.g. `{ name }` in the nearby lobby).
+  async connect(roomId, { role = "", meta = {} } = {}) {
+    this.disconnect();
+    if (!globalThis.crypto?.subtle) {
+      this.emitError(new Error("Secure signaling needs a secure context (HTTPS)"));
+      return;
+    }
+    this.roomId = roomId;
+    this._salt = crypto.getRandomValues(new Uint8Array(16));
+    this._sendKey = deriveRoomKey(roomId, this._salt);
+    this._peerKeys.clear();
+    this._pendingKeys.clear();
+    this.role = role;
+    this.peers = [];
+    this._presenceMeta = { ...meta, role, since: Date.now() };
+    this._opened = false;
+    this._setState("connecting");
+    const connectSeq = this._connectSeq;
+    try {
+      const channelId = await deriveChannelId(roomId);
+      if (this._connectSeq !== connectSeq) return;
+      this._channelId = channelId;
+      await this._transportConnect(channelId);
+    } catch (err) {
+      console.error("[Signaling] Connect failed:", err);
+      this._handleTransportLost(err instanceof Error ? err : new Error(String(err)));
+    }
+  }
+
+  _setState(state, info) {
+    this.state = state;
+    this.onStateChange?.(state, info);
+    this._host?._onLinkState(this, state, info);
+  }
+
+  _handleSubscribed() {
+    this.isConnected = true;
+    this._reconnectAttempt = 0;
+    this._setState("connected");
+    if (this._host) {
+      this._host._onLinkSubscribed(this);
+      return;
+    }
+    void this._trackPresence();
+    if (this._opened || this.role !== "sender") {
+      this._opened = true;
+      this.onOpen?.();
+      return;
+    }
+    this._claimTimer = setTimeout(() => this._finishClaim(), PRESENCE_CLAIM_TIMEOUT_MS);
+  }
+
+  // Resubscribes after a growing, jittered delay; gives up (state "failed", onError) after
+  // maxReconnectAttempts failures in a row.
+  _handleTransportLost(err) {
+    const roomId = this.roomId;
+    const channelId = this._channelId;
+    if (!roomId || !channelId || this._reconnectTimer) return;
+    this.isConnected = false;
+    if (this._claimTimer) {
+      clearTimeout(this._claimTimer);
+      this._claimTimer = 0;
+    }
+    const error = err instanceof Error ? err : new Error(String(err));
+    if (this._reconnectAttempt >= this.maxReconnectAttempts) {
+      console.error("[Signaling] Giving up reconnecting:", error.message);
+      this._setState("failed", { error });
+      this.emitError(error);
+      return;
+    }
+
+    const delay = getReconnectDelay(this._reconnectAttempt);
+    this._reconnectAttempt += 1;
+    console.warn(`[Signaling] ${error.message}; resubscribing in ${delay} ms (attempt ${this._reconnectAttempt})`);
+    this._setState("reconnecting", { attempt: this._reconnectAttempt, delay, error });
+    this._reconnectTimer = setTimeout(async () => {
+      this._reconnectTimer = 0;
+      if (this.roomId !== roomId) return;
+      try { this._transportClose(); } catch {}
+      try {
+        await this._transportConnect(channelId);
+      } catch (e) {
+        this._handleTransportLost(e);
+      }
+    }, delay);
+  }
+
+  _cancelReconnect() {
+    if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = 0;
+    this._reconnectAttempt = 0;
+  }
+
+  // Hosts drive their links with these instead of connect()/disconnect(): no keys or presence of
+  // their own, just the transport plus reconnects.
+  async _startLink(channelId) {
+    this._cancelReconnect();
+    this.roomId = channelId;
+    this._channelId = channelId;
+    this._setState("connecting");
+    try {
+      await this._transportConnect(channelId);
+    } catch (err) {
+      this._handleTransportLost(err);
+    }
+  }
+
+  _stopLink() {
+    this._cancelReconnect();
+    try { this._transportClose(); } catch {}
+    this.isConnected = false;
+    this.roomId = null;
+    this._channelId = "";
+    this._setState("idle");
+  }
+
+  _handlePayload(payload) {
+    if (this._host) {
+      this._host._onLinkPayload(this, payload);
+      return;
+    }
+    const senderId = payload?.senderId;
+    if (senderId && senderId === this.clientId) return;
+    // Decrypt in arrival order; the handlers expect join/signal in sequence.
+    const roomId = this.roomId;
+    this._recvChain = this._recvChain
+      .then(async () => {
+        const dataStr = await this._open(payload);
+        if (dataStr && this.roomId === roomId) this.onMessage?.(dataStr, String(senderId));
+      })
+      .catch((err) => console.error("[Signaling] Receive failed:", err));
+  }
+
+  // `state` maps client id -> list of presence metas (the last one wins). Presence isn't sealed:
+  // anyone who knows the room id can publish any meta, so it is a hint, never proof of who's paired.
+  _handlePresenceState(state) {
+    if (this._host) {
+      this._host._onLinkPresence(this, state);
+      return;
+    }
+    const peers = [];
+    for (const [id, metas] of Object.entries(state || {})) {
+      const meta = Array.isArray(metas) ? metas[metas.length - 1] : metas;
+      if (!meta) continue;
+      peers.push({
+        id,
+        role: String(meta.role || ""),
+        since: Number(meta.since) || 0,
+        pairedWith: String(meta.pairedWith || ""),
+        name: String(meta.name || "").slice(0, 40),
+      });
+    }
+    this.peers = peers;
+    this.onPresence?.(peers);
+    // Our own entry showing up means the room's existing occupants have been synced too.
+    if (this._claimTimer && peers.some((p) => p.id === this.clientId)) this._finishClaim();
+  }
+
+  _finishClaim() {
+    if (!this._claimTimer) return;
+    clearTimeout(this._claimTimer);
+    this._claimTimer = 0;
+    if (!this.isConnected) return;
+    const owner = this.getRoomOwner();
+    if (owner && owner.id !== this.clientId) {
+      console.warn(`[Signaling] Room ${this.roomId} is already in use by another sender.`);
+      this.onRoomTaken?.();
+      return;
+    }
+    this._opened = true;
+    this.onOpen?.();
+  }
+
+  // The sender that has been in the room longest owns it (client id breaks ties). Based on presence,
+  // so a spoofed entry can at worst make a sender move to a fresh code.
+  getRoomOwner() {
+    let owner = null;
+    for (const p of this.peers) {
+      if (p.role !== "sender") continue;
+      if (!owner || p.since < owner.since || (p.since === owner.since && p.id < owner.id)) owner = p;
+    }
+    return owner;
+  }
+
+  // Merges `meta` into what this client publishes through presence (e.g. `{ pairedWith }`).
+  updatePresence(meta) {
+    this._presenceMeta = { ...this._presenceMeta, ...meta };
+    return this._trackPresence();
+  }
+
+  async _trackPresence() {
+    if (!this.isConnected || !this._presenceMeta) return;
+    try {
+      const res = await this._transportTrack(this._presenceMeta);
+      if (res !== "ok") console.warn("[Signaling] Presence track failed:", res);
+    } catch (err) {
+      console.warn("[Signaling] Presence track failed:", err);
+    }
+  }
+
+  async _seal(dataStr) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv, additionalData: textEncoder.encode(`${this.roomId}|${this.clientId}`) },
+      await this._sendKey,
+      textEncoder.encode(dataStr)
+    );
+    return { salt: bytesToB64(this._salt), iv: bytesToB64(iv), ct: bytesToB64(new Uint8Array(ct)) };
+  }
+
+  // Returns the plaintext, or "" after reporting why the message was dropped.
+  async _open(payload) {
+    const senderId = String(payload?.senderId ?? "");
+    const box = payload?.box;
+    if (!senderId || !box?.salt || !box?.iv || !box?.ct) {
+      this.onRejected?.("Ignored an unencrypted signaling message");
+      return "";
+    }
+
+    // A key is only kept once it has decrypted something, so forged salts can't fill the cache
+    // and lock out a real peer that shows up later.
+    const keyId = `${senderId}|${box.salt}`;
+    const roomId = this.roomId;
+    let key = this._peerKeys.get(keyId);
+    const verified = Boolean(key);
+    if (!key) key = this._pendingKeys.get(keyId);
+    if (!key) {
+      // Every new salt costs a full key stretch; cap how many a flood of forgeries can run at once.
+      if (this._pendingKeys.size >= MAX_PENDING_KEYS) {
+        this.onRejected?.("Ignored a signaling message from an unknown sender");
+        return "";
+      }
+      try {
+        key = deriveRoomKey(roomId, b64ToBytes(box.salt));
+      } catch {
+        this.onRejected?.("Ignored a malformed signaling message");
+        return "";
+      }
+      this._pendingKeys.set(keyId, key);
+    }
+
+    let plain = null;
+    try {
+      plain = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: b64ToBytes(box.iv), additionalData: textEncoder.encode(`${roomId}|${senderId}`) },
+        await key,
+        b64ToBytes(box.ct)
+      );
+    } catch {}
+    if (!verified) {
+      if (this._pendingKeys.get(keyId) === key) this._pendingKeys.delete(keyId);
+      if (plain && this.roomId === roomId) this._peerKeys.set(keyId, key);
+    }
+    if (!plain) {
+      this.onRejected?.("Ignored a signaling message that failed verification (wrong code or tampered)");
+      return "";
+    }
+    return textDecoder.decode(plain);
+  }
+
+  // Sealing is async; chain sends so an offer and the candidates that follow it keep their order.
+  send(dataStr) {
+    const next = this._sendChain.then(() => this._sendNow(dataStr));
+    this._sendChain = next.catch(() => {});
+    return next;
+  }
+
+  async _sendNow(dataStr) {
+    if (!this.roomId || !this.isConnected) return;
+    try {
+      const roomId = this.roomId;
+      const box = await this._seal(dataStr);
+      if (this.roomId !== roomId || !this.isConnected) return;
+      const res = await this._transportSend({ senderId: this.clientId, box });
+      if (res !== "ok") {
+        const err = new Error(`Signaling send failed: ${res}`);
+        console.error("[Signaling] Send failed:", err);
+        this.emitError(err);
+      }
+    } catch (err) {
+      console.error("[Signaling] Send exception:", err);
+      this.emitError(err instanceof Error ? err : new Error(String(err)));
+    }
+  }
+
+  disconnect() {
+    this._cancelReconnect();
+    if (this._claimTimer) {
+      clearTimeout(this._claimTimer);
+      this._claimTimer = 0;
+    }
+    try {
+      this._transportClose();
+    } catch (err) {
+      console.warn("[Signaling] Close failed:", err);
+    }
+    this.isConnected = false;
+    this._connectSeq += 1;
+    this.roomId = null;
+    this._channelId = "";
+    this._salt = null;
+    this._sendKey = null;
+    this._peerKeys.clear();
+    this._pendingKeys.clear();
+    this.role = "";
+    this.peers = [];
+    this._presenceMeta = null;
+    this._opened = false;
+    if (this.state !== "idle") this._setState("idle");
+  }
+
+  async _transportConnect(channelId) {
+    void channelId;
+    throw new Error("Signaling backend does not implement _transportConnect");
+  }
+
+  async _transportSend(payload) {
+    void payload;
+    return "not connected";
+  }
+
+  async _transportTrack(meta) {
+    void meta;
+    return "not connected";
+  }
+
+  _transportClose() {}
+}
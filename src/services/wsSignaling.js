@@ -0,0 +1,98 @@
+import { SignalingTransport } from "./signalingTransport.js";
+
+// Self-hosted backend: talks to server/signaling-relay.js over a WebSocket.
+// Client -> relay: { op: "subscribe", room, id, token } | { op: "publish", payload } | { op: "track", meta }
+// Relay -> client: { op: "subscribed" } | { op: "msg", payload } | { op: "presence", peers } | { op: "error", reason }
+const CONNECT_TIMEOUT_MS = 10_000;
+
+// Proves to the relay that a reconnect comes from the client that first took its id.
+function createRelayToken() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export class WebSocketSignalingService extends SignalingTransport {
+  constructor(url) {
+    super();
+    this.url = url;
+    this.socket = null;
+    this._relayToken = createRelayToken();
+  }
+
+  async _transportConnect(channelId) {
+    console.log("Connecting to signaling relay room:", channelId);
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    const timeoutId = setTimeout(() => {
+      if (this.socket !== socket || this.isConnected) return;
+      console.error("[Signaling] Relay connection timed out.");
+      this.socket = null;
+      try { socket.close(); } catch {}
+      this._handleTransportLost(new Error("Connection Timed Out"));
+    }, CONNECT_TIMEOUT_MS);
+
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ op: "subscribe", room: channelId, id: this.clientId, token: this._relayToken }));
+    };
+
+    socket.onmessage = (event) => {
+      if (this.socket !== socket) return;
+      let msg;
+      try { msg = JSON.parse(event.data); } catch { return; }
+      switch (msg?.op) {
+        case "subscribed":
+          clearTimeout(timeoutId);
+          console.log(`[Signaling] Room ${channelId} subscription status: SUBSCRIBED`);
+          this._handleSubscribed();
+          break;
+        case "msg":
+          this._handlePayload(msg.payload);
+          break;
+        case "presence":
+          this._handlePresenceState(msg.peers);
+          break;
+        case "error":
+          console.error("[Signaling] Relay error:", msg.reason);
+          this.emitError(new Error(String(msg.reason || "Relay error")));
+          break;
+        default:
+          break;
+      }
+    };
+
+    // The error event carries no detail; the close that follows it reports the failure.
+    socket.onerror = () => {};
+
+    socket.onclose = (event) => {
+      clearTimeout(timeoutId);
+      if (this.socket !== socket) return;
+      this.socket = null;
+      const err = new Error(`Signaling relay closed the connection${event.reason ? `: ${event.reason}` : ""}`);
+      console.error("[Signaling]", err.message);
+      this._handleTransportLost(err);
+    };
+  }
+
+  _sendOp(msg) {
+    const socket = this.socket;
+    if (!socket || socket.readyState !== WebSocket.OPEN) return "not connected";
+    socket.send(JSON.stringify(msg));
+    return "ok";
+  }
+
+  async _transportSend(payload) {
+    return this._sendOp({ op: "publish", payload });
+  }
+
+  async _transportTrack(meta) {
+    return this._sendOp({ op: "track", meta });
+  }
+
+  _transportClose() {
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      try { socket.close(1000, "leave"); } catch {}
+    }
+  }
+}
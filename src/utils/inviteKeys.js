@@ -0,0 +1,71 @@
+// Nearby invites: the two lobby clients run an ephemeral ECDH exchange (P-256), and the inviter
+// sends the room code sealed under the shared key. Everyone else in the lobby, the relay included,
+// only sees the public keys. Nothing here authenticates the other side, which is why sessions
+// paired this way still have to confirm the SAS.
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function bytesToB64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+function b64ToBytes(b64) {
+  const bin = atob(String(b64 ?? ""));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// Resolves to { keyPair, publicKey }, the latter base64 for the invite or the reply.
+async function createInviteKeys() {
+  const keyPair = await crypto.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, false, ["deriveKey"]);
+  const raw = await crypto.subtle.exportKey("raw", keyPair.publicKey);
+  return { keyPair, publicKey: bytesToB64(new Uint8Array(raw)) };
+}
+
+async function deriveInviteKey(keyPair, peerPublicKey) {
+  const peerKey = await crypto.subtle.importKey(
+    "raw",
+    b64ToBytes(peerPublicKey),
+    { name: "ECDH", namedCurve: "P-256" },
+    false,
+    []
+  );
+  return crypto.subtle.deriveKey(
+    { name: "ECDH", public: peerKey },
+    keyPair.privateKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// `context` binds the box to one inviter/invitee pair ("inviterId|inviteeId").
+async function sealInviteCode(key, code, context) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: textEncoder.encode(`sharefile-invite|${context}`) },
+    key,
+    textEncoder.encode(code)
+  );
+  return { iv: bytesToB64(iv), ct: bytesToB64(new Uint8Array(ct)) };
+}
+
+// Returns the code, or "" if the box doesn't open with this key.
+async function openInviteCode(key, box, context) {
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: b64ToBytes(box?.iv), additionalData: textEncoder.encode(`sharefile-invite|${context}`) },
+      key,
+      b64ToBytes(box?.ct)
+    );
+    return textDecoder.decode(plain);
+  } catch {
+    return "";
+  }
+}
+
+export { createInviteKeys, deriveInviteKey, openInviteCode, sealInviteCode };
@@ -0,0 +1,62 @@
+// Network hint for nearby discovery: the public address a STUN server sees for this device.
+// Devices behind the same NAT share their IPv4 address; with IPv6 every device has its own
+// address, so only the /64 prefix (the local network) is kept.
+
+const GATHER_TIMEOUT_MS = 5000;
+
+function toNetworkHint(address) {
+  const ip = String(address ?? "").trim().toLowerCase();
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) return ip;
+  if (!ip.includes(":")) return "";
+  // Expand "::" just enough to take the first four groups.
+  const [head, tail = ""] = ip.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const groups = ip.includes("::")
+    ? [...headGroups, ...Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill("0"), ...tailGroups]
+    : headGroups;
+  if (groups.length < 4) return "";
+  return `${groups.slice(0, 4).map((g) => g.replace(/^0+(?=.)/, "")).join(":")}::/64`;
+}
+
+// Resolves to the hint ("" when no server-reflexive candidate shows up, e.g. STUN is blocked).
+// IPv4 wins over IPv6, since every device on a dual-stack network has the same IPv4 view.
+// `stunUrls` is one URL or a list of them.
+async function getPublicNetworkHint(stunUrls, { timeoutMs = GATHER_TIMEOUT_MS } = {}) {
+  const urls = [].concat(stunUrls ?? []).filter(Boolean);
+  if (typeof RTCPeerConnection === "undefined" || !urls.length) return "";
+  const pc = new RTCPeerConnection({ iceServers: [{ urls }] });
+  const hints = [];
+  try {
+    pc.createDataChannel("probe");
+    const done = new Promise((resolve) => {
+      const timer = setTimeout(resolve, timeoutMs);
+      pc.onicecandidate = (e) => {
+        if (!e.candidate) {
+          clearTimeout(timer);
+          resolve();
+          return;
+        }
+        const parts = String(e.candidate.candidate || "").split(" ");
+        // candidate:<foundation> <component> <proto> <priority> <address> <port> typ <type> ...
+        if (parts[7] !== "srflx") return;
+        const hint = toNetworkHint(e.candidate.address || parts[4]);
+        if (!hint) return;
+        hints.push(hint);
+        if (!hint.includes(":")) {
+          clearTimeout(timer);
+          resolve();
+        }
+      };
+    });
+    await pc.setLocalDescription(await pc.createOffer());
+    await done;
+  } catch (err) {
+    console.warn("[Nearby] Network detection failed:", err);
+  } finally {
+    try { pc.close(); } catch {}
+  }
+  return hints.find((h) => !h.includes(":")) || hints[0] || "";
+}
+
+export { getPublicNetworkHint, toNetworkHint };
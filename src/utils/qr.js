@@ -0,0 +1,36 @@
+// QR helpers for manual pairing: render a connection code, and read one back from a photo/screenshot.
+
+import qrcode from "qrcode-generator";
+import jsQR from "jsqr";
+
+const MAX_DECODE_DIMENSION = 1600;
+
+// SHR2:/SHR3: codes are base32 (A-Z, 2-7) plus ":", which fits QR's denser alphanumeric mode.
+function renderQrDataUrl(text, { cellSize = 4, margin = 4 } = {}) {
+  const value = String(text ?? "");
+  const qr = qrcode(0, "L");
+  qr.addData(value, /^[0-9A-Z $%*+\-./:]*$/.test(value) ? "Alphanumeric" : "Byte");
+  qr.make();
+  return qr.createDataURL(cellSize, margin);
+}
+
+async function decodeQrFromFile(file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const scale = Math.min(1, MAX_DECODE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    const image = ctx.getImageData(0, 0, width, height);
+    const result = jsQR(image.data, width, height, { inversionAttempts: "attemptBoth" });
+    return result?.data ? String(result.data).trim() : "";
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+export { decodeQrFromFile, renderQrDataUrl };
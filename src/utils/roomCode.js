@@ -0,0 +1,129 @@
+// Room codes: either 6 digits, or a few words from a fixed list ("plum-river-seven") that are easy
+// to read aloud. Both normalize to the room id handed to SignalingService.connect().
+
+// 512 words = 9 bits each. Short, concrete, and distinct when spoken.
+const ROOM_CODE_WORDS = [
+  "acid", "acorn", "actor", "adult", "agent", "alarm", "album", "alley", "amber", "angel", "angle", "ankle",
+  "apple", "apron", "arena", "armor", "arrow", "atlas", "attic", "audio", "award", "axis", "azure", "bacon",
+  "badge", "bagel", "baker", "band", "banjo", "barn", "basil", "beach", "bean", "bear", "beige", "bell",
+  "belt", "bench", "berry", "bike", "bird", "bison", "black", "blade", "blaze", "bloom", "blue", "board",
+  "boat", "bold", "bolt", "bonus", "book", "boot", "bowl", "box", "brain", "brass", "brave", "bread",
+  "brick", "brook", "broom", "buddy", "bugle", "bulb", "bunny", "cabin", "cable", "cactus", "cake", "calm",
+  "camel", "camera", "camp", "canal", "candle", "candy", "canoe", "canyon", "cape", "card", "cargo", "carpet",
+  "carrot", "castle", "cedar", "cello", "chair", "chalk", "cheese", "cherry", "chess", "chest", "chief", "chip",
+  "cider", "cinema", "circle", "citrus", "city", "clay", "clever", "cliff", "clock", "cloud", "clover", "coach",
+  "coast", "cobra", "cocoa", "coffee", "comet", "copper", "coral", "cotton", "cougar", "cousin", "cow", "cozy",
+  "crab", "crane", "crayon", "cream", "creek", "crisp", "crown", "cube", "cup", "cyan", "cycle", "daisy",
+  "dance", "delta", "denim", "desert", "dinner", "disk", "dock", "donkey", "door", "dove", "dragon", "drum",
+  "duck", "dune", "eager", "eagle", "early", "earth", "easel", "echo", "eel", "eight", "elbow", "elder",
+  "elk", "elm", "ember", "engine", "falcon", "fancy", "farm", "fast", "fence", "fern", "ferry", "fiddle",
+  "field", "fifty", "fig", "film", "finch", "fire", "fish", "five", "flag", "flame", "fluffy", "flute",
+  "foam", "forest", "fork", "fossil", "four", "fox", "fresh", "frog", "frost", "fruit", "galaxy", "garden",
+  "garlic", "gate", "gecko", "gem", "gentle", "ghost", "giant", "giddy", "ginger", "glad", "glove", "goat",
+  "gold", "golden", "goose", "grain", "grand", "grape", "grass", "gravel", "green", "grey", "guitar", "gull",
+  "hammer", "happy", "harbor", "harp", "hasty", "hawk", "hazel", "heart", "hedge", "helmet", "heron", "hill",
+  "hippo", "honey", "hoof", "horn", "horse", "hotel", "house", "humble", "icy", "igloo", "indigo", "iris",
+  "iron", "island", "ivory", "jacket", "jade", "jaguar", "jam", "jar", "jazz", "jeep", "jelly", "jewel",
+  "jolly", "judge", "juice", "jungle", "kayak", "keen", "kettle", "key", "khaki", "kind", "kite", "kitten",
+  "kiwi", "knight", "koala", "ladder", "lake", "lamp", "laptop", "lava", "lemon", "lens", "letter", "lilac",
+  "lily", "lime", "lion", "lively", "lizard", "llama", "locket", "lotus", "lucky", "lunar", "lynx", "magnet",
+  "mango", "maple", "marble", "market", "maroon", "mauve", "meadow", "melon", "merry", "mighty", "mirror", "misty",
+  "mitten", "monkey", "moon", "moose", "moss", "motor", "mouse", "muffin", "mule", "museum", "music", "navy",
+  "nectar", "needle", "nest", "nickel", "nine", "noble", "noodle", "north", "nut", "oak", "oasis", "ocean",
+  "ochre", "odd", "olive", "one", "onion", "opal", "orange", "orbit", "orchid", "otter", "owl", "oyster",
+  "paddle", "palace", "panda", "paper", "parrot", "pasta", "peach", "peanut", "pear", "pearl", "pebble", "pecan",
+  "pencil", "pepper", "piano", "pickle", "pigeon", "pillow", "pilot", "pine", "pink", "pizza", "plain", "planet",
+  "plum", "pocket", "poem", "polar", "polite", "pond", "pony", "poppy", "potato", "prism", "proud", "puppy",
+  "purple", "quail", "quartz", "queen", "quick", "quiet", "quill", "rabbit", "radar", "radio", "rain", "rapid",
+  "raven", "red", "reef", "rhino", "ribbon", "rice", "river", "robin", "rocket", "rose", "rosy", "royal",
+  "ruby", "rust", "rusty", "saddle", "safari", "sail", "salmon", "salt", "sand", "satin", "scarf", "school",
+  "seal", "seed", "seven", "shark", "sheep", "shell", "shiny", "shore", "silent", "silk", "silver", "simple",
+  "siren", "six", "skate", "sky", "sled", "sleepy", "slope", "smooth", "snail", "snake", "snow", "snowy",
+  "sofa", "soft", "solar", "soup", "spark", "spider", "spoon", "spring", "spruce", "squid", "stamp", "star",
+  "stone", "storm", "straw", "stream", "sugar", "summit", "sun", "sunny", "super", "swan", "swift", "table",
+  "taco", "tango", "tea", "teal", "ten", "three", "tidy", "tiger", "timber", "tiny", "toast", "tomato",
+  "topaz", "torch", "tower", "trail", "train", "tree", "tulip", "tuna", "tundra", "turtle", "twelve", "twenty",
+  "twig", "two", "valley", "velvet", "violet", "violin", "wagon", "walnut", "walrus", "wave", "whale", "wheat",
+  "white", "wild", "willow", "window", "windy", "winter", "wise", "witty", "wolf", "wombat", "wood", "yak",
+  "yarn", "yellow", "yogurt", "young", "zebra", "zesty", "zinc", "zipper",
+];
+
+const WORD_CODE_LENGTH = 3; // 27 bits, ~134M codes vs 900k for six digits
+const DIGIT_CODE_LENGTH = 6;
+const WORD_SET = new Set(ROOM_CODE_WORDS);
+
+function generateWordCode() {
+  const picks = crypto.getRandomValues(new Uint16Array(WORD_CODE_LENGTH));
+  return Array.from(picks, (n) => ROOM_CODE_WORDS[n % ROOM_CODE_WORDS.length]).join("-");
+}
+
+function generateDigitCode() {
+  return Math.floor(100000 + Math.random() * 900000).toString();
+}
+
+function splitWords(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+}
+
+function isDigitInput(value) {
+  return !/[a-z]/i.test(String(value ?? ""));
+}
+
+// A unique prefix ("riv") stands for its word; exact matches win over longer words ("pine").
+function completeWord(prefix) {
+  if (WORD_SET.has(prefix)) return prefix;
+  if (prefix.length < 2) return "";
+  const matches = ROOM_CODE_WORDS.filter((w) => w.startsWith(prefix));
+  return matches.length === 1 ? matches[0] : "";
+}
+
+// Returns the room id for a typed code, or "" while it isn't a complete, valid code yet.
+function parseRoomCode(value) {
+  const raw = String(value ?? "").trim();
+  if (isDigitInput(raw)) {
+    const digits = raw.replace(/[^0-9]/g, "");
+    return digits.length === DIGIT_CODE_LENGTH ? digits : "";
+  }
+  const words = splitWords(raw).map(completeWord);
+  if (words.length !== WORD_CODE_LENGTH || words.some((w) => !w)) return "";
+  return words.join("-");
+}
+
+// Validation feedback for the code input: the first word that isn't on the list, if any.
+function findUnknownWord(value) {
+  const words = splitWords(value);
+  // The last word may still be being typed; only judge it once nothing on the list starts with it.
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const done = i < words.length - 1 || /[^a-z]$/i.test(String(value ?? ""));
+    if (done ? !completeWord(word) : !ROOM_CODE_WORDS.some((w) => w.startsWith(word))) return word;
+  }
+  return "";
+}
+
+// Whole-value suggestions for a <datalist>: the typed words plus completions of the last one.
+function suggestWordCodes(value, limit = 8) {
+  const raw = String(value ?? "");
+  const words = splitWords(raw);
+  if (!words.length || /[^a-z]$/i.test(raw) || words.length > WORD_CODE_LENGTH) return [];
+  const head = words.slice(0, -1).map((w) => completeWord(w) || w);
+  const last = words[words.length - 1];
+  return ROOM_CODE_WORDS.filter((w) => w.startsWith(last) && w !== last)
+    .slice(0, limit)
+    .map((w) => [...head, w].join("-"));
+}
+
+export {
+  DIGIT_CODE_LENGTH,
+  findUnknownWord,
+  generateDigitCode,
+  generateWordCode,
+  isDigitInput,
+  parseRoomCode,
+  ROOM_CODE_WORDS,
+  suggestWordCodes,
+  WORD_CODE_LENGTH,
+};
@@ -0,0 +1,64 @@
+// Short authentication string: both peers hash the two DTLS fingerprints from the exchanged SDP.
+// A man in the middle has to terminate DTLS with their own certificate, so the strings differ.
+
+import { Sha256 } from "./sha256.js";
+
+// 64 entries, one per 6 bits of the hash (same idea as Matrix's emoji verification).
+const SAS_SYMBOLS = [
+  ["🐶", "Dog"], ["🐱", "Cat"], ["🦁", "Lion"], ["🐎", "Horse"],
+  ["🦄", "Unicorn"], ["🐷", "Pig"], ["🐘", "Elephant"], ["🐰", "Rabbit"],
+  ["🐼", "Panda"], ["🐓", "Rooster"], ["🐧", "Penguin"], ["🐢", "Turtle"],
+  ["🐟", "Fish"], ["🐙", "Octopus"], ["🦋", "Butterfly"], ["🌷", "Flower"],
+  ["🌳", "Tree"], ["🌵", "Cactus"], ["🍄", "Mushroom"], ["🌏", "Globe"],
+  ["🌙", "Moon"], ["☁️", "Cloud"], ["🔥", "Fire"], ["🍌", "Banana"],
+  ["🍎", "Apple"], ["🍓", "Strawberry"], ["🌽", "Corn"], ["🍕", "Pizza"],
+  ["🎂", "Cake"], ["❤️", "Heart"], ["😀", "Smiley"], ["🤖", "Robot"],
+  ["🎩", "Hat"], ["👓", "Glasses"], ["🔧", "Spanner"], ["🎅", "Santa"],
+  ["👍", "Thumbs up"], ["☂️", "Umbrella"], ["⌛", "Hourglass"], ["⏰", "Clock"],
+  ["🎁", "Gift"], ["💡", "Light bulb"], ["📕", "Book"], ["✏️", "Pencil"],
+  ["📎", "Paperclip"], ["✂️", "Scissors"], ["🔒", "Lock"], ["🔑", "Key"],
+  ["🔨", "Hammer"], ["☎️", "Telephone"], ["🏁", "Flag"], ["🚂", "Train"],
+  ["🚲", "Bicycle"], ["✈️", "Aeroplane"], ["🚀", "Rocket"], ["🏆", "Trophy"],
+  ["⚽", "Ball"], ["🎸", "Guitar"], ["🎺", "Trumpet"], ["🔔", "Bell"],
+  ["⚓", "Anchor"], ["🎧", "Headphones"], ["📁", "Folder"], ["📌", "Pin"],
+];
+
+const SAS_LENGTH = 5; // 30 bits
+
+function extractDtlsFingerprint(sdp) {
+  const match = /^a=fingerprint:(\S+)\s+([0-9A-Fa-f:]+)\s*$/m.exec(String(sdp ?? ""));
+  if (!match) return "";
+  return `${match[1].toLowerCase()} ${match[2].toUpperCase()}`;
+}
+
+// Symmetric in its arguments, so the offerer and answerer compute the same string.
+function deriveShortAuthString(fingerprintA, fingerprintB) {
+  const a = String(fingerprintA ?? "");
+  const b = String(fingerprintB ?? "");
+  if (!a || !b) return null;
+
+  const [first, second] = [a, b].sort();
+  const digest = new Sha256().update(new TextEncoder().encode(`sharefile-sas|${first}|${second}`)).digest();
+
+  let bits = 0;
+  let bitCount = 0;
+  let pos = 0;
+  const symbols = [];
+  while (symbols.length < SAS_LENGTH) {
+    if (bitCount < 6) {
+      bits = (bits << 8) | digest[pos++];
+      bitCount += 8;
+    }
+    bitCount -= 6;
+    symbols.push(SAS_SYMBOLS[(bits >> bitCount) & 63]);
+    bits &= (1 << bitCount) - 1;
+  }
+
+  return {
+    emoji: symbols.map(([emoji]) => emoji),
+    words: symbols.map(([, word]) => word),
+    key: symbols.map(([, word]) => word).join("-"),
+  };
+}
+
+export { deriveShortAuthString, extractDtlsFingerprint };
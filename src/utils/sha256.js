@@ -0,0 +1,272 @@
+// Incremental SHA-256 (WebCrypto's digest() can't hash a multi-GB stream piece by piece).
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const READ_CHUNK_BYTES = 4 * 1024 * 1024;
+
+class Sha256 {
+  constructor() {
+    this.h = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ]);
+    this.w = new Uint32Array(64);
+    this.block = new Uint8Array(64);
+    this.blockLen = 0;
+    this.totalBytes = 0;
+    this.finished = false;
+  }
+
+  update(data) {
+    if (this.finished) throw new Error("Hash already finalized");
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    let pos = 0;
+    this.totalBytes += bytes.length;
+
+    if (this.blockLen) {
+      const take = Math.min(64 - this.blockLen, bytes.length);
+      this.block.set(bytes.subarray(0, take), this.blockLen);
+      this.blockLen += take;
+      pos = take;
+      if (this.blockLen < 64) return this;
+      this._compress(this.block, 0);
+      this.blockLen = 0;
+    }
+
+    while (pos + 64 <= bytes.length) {
+      this._compress(bytes, pos);
+      pos += 64;
+    }
+
+    if (pos < bytes.length) {
+      this.block.set(bytes.subarray(pos), 0);
+      this.blockLen = bytes.length - pos;
+    }
+    return this;
+  }
+
+  digest() {
+    if (this.finished) throw new Error("Hash already finalized");
+    const bitsHi = Math.floor(this.totalBytes / 0x20000000);
+    const bitsLo = (this.totalBytes * 8) >>> 0;
+
+    const padLen = this.blockLen < 56 ? 56 - this.blockLen : 120 - this.blockLen;
+    const tail = new Uint8Array(padLen + 8);
+    tail[0] = 0x80;
+    const view = new DataView(tail.buffer);
+    view.setUint32(padLen, bitsHi);
+    view.setUint32(padLen + 4, bitsLo);
+    this.update(tail);
+    this.finished = true;
+
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    for (let i = 0; i < 8; i++) outView.setUint32(i * 4, this.h[i]);
+    return out;
+  }
+
+  hexDigest() {
+    return bytesToHex(this.digest());
+  }
+
+  _compress(bytes, offset) {
+    const w = this.w;
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const a = w[i - 15];
+      const b = w[i - 2];
+      const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+      const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    const h = this.h;
+    let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (hh + S1 + ch + K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0;
+    h[5] = (h[5] + f) | 0;
+    h[6] = (h[6] + g) | 0;
+    h[7] = (h[7] + hh) | 0;
+  }
+}
+
+function bytesToHex(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i++) out += bytes[i].toString(16).padStart(2, "0");
+  return out;
+}
+
+// Feeds `data` (Blob, ArrayBuffer or view) to `hasher`, reading Blobs a block at a time.
+// `onBlock(bytes)` runs (and is awaited) after every block that went in.
+async function hashDataInBlocks(hasher, data, onBlock) {
+  if (!data) return;
+  if (typeof Blob !== "undefined" && data instanceof Blob) {
+    for (let offset = 0; offset < data.size; offset += READ_CHUNK_BYTES) {
+      const buf = await data.slice(offset, offset + READ_CHUNK_BYTES).arrayBuffer();
+      hasher.update(new Uint8Array(buf));
+      await onBlock?.(buf.byteLength);
+    }
+    return;
+  }
+  let bytes = null;
+  if (data instanceof ArrayBuffer) bytes = new Uint8Array(data);
+  else if (ArrayBuffer.isView(data)) bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  if (!bytes) return;
+  hasher.update(bytes);
+  await onBlock?.(bytes.byteLength);
+}
+
+function createAbortError() {
+  const err = new Error("Canceled");
+  err.name = "AbortError";
+  return err;
+}
+
+function createHashWorker() {
+  if (typeof Worker === "undefined") return null;
+  try {
+    return new Worker(new URL("./sha256Worker.js", import.meta.url), { type: "module" });
+  } catch {
+    return null;
+  }
+}
+
+// Incremental SHA-256 that keeps the page responsive: the work runs in a worker where the browser
+// has module workers, otherwise here, yielding to the page after every block. update() and digest() resolve
+// in call order; `onProgress(bytes)` reports how much has been hashed so far.
+class Sha256Stream {
+  constructor({ onProgress } = {}) {
+    this.onProgress = onProgress || null;
+    this.closed = false;
+    this._waiters = []; // { resolve, reject } per message posted to the worker, in order
+    this._worker = null;
+    this._hasher = null; // set when hashing here instead of in a worker
+    this._hashedBytes = 0;
+    this._chain = Promise.resolve();
+  }
+
+  // The worker starts with the first update, so streams that never get data cost nothing.
+  _start() {
+    if (this._worker || this._hasher || this.closed) return;
+    this._worker = createHashWorker();
+    if (this._worker) {
+      this._worker.onmessage = (e) => this._onWorkerMessage(e.data);
+      this._worker.onerror = (e) => this._fail(new Error(e?.message || "Hash worker failed"));
+    } else {
+      this._hasher = new Sha256();
+    }
+  }
+
+  update(data) {
+    this._start();
+    if (this._worker) return this._post({ op: "update", data });
+    return this._run(() =>
+      hashDataInBlocks(this._hasher, data, async (bytes) => {
+        this._hashedBytes += bytes;
+        this.onProgress?.(this._hashedBytes);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        if (this.closed) throw createAbortError();
+      })
+    );
+  }
+
+  // Resolves to the hex digest of everything updated so far; the stream is done after that.
+  async digest() {
+    this._start();
+    try {
+      if (this._worker) return await this._post({ op: "digest" });
+      return await this._run(() => this._hasher.hexDigest());
+    } finally {
+      this.close();
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    try { this._worker?.terminate(); } catch {}
+    this._worker = null;
+    this._fail(createAbortError());
+  }
+
+  _post(msg) {
+    if (this.closed) return Promise.reject(createAbortError());
+    return new Promise((resolve, reject) => {
+      this._waiters.push({ resolve, reject });
+      this._worker.postMessage(msg);
+    });
+  }
+
+  // Main-thread fallback: one step at a time, in call order.
+  _run(step) {
+    const next = this._chain.then(() => {
+      if (this.closed) throw createAbortError();
+      return step();
+    });
+    this._chain = next.catch(() => {});
+    return next;
+  }
+
+  _onWorkerMessage(msg) {
+    if (msg?.op === "progress") {
+      this.onProgress?.(Number(msg.bytes) || 0);
+      return;
+    }
+    const waiter = this._waiters.shift();
+    if (!waiter) return;
+    if (msg?.op === "error") waiter.reject(new Error(msg.message || "Hashing failed"));
+    else waiter.resolve(msg?.hex ?? "");
+  }
+
+  _fail(err) {
+    const waiters = this._waiters;
+    this._waiters = [];
+    for (const waiter of waiters) waiter.reject(err);
+  }
+}
+
+async function sha256Blob(blob, { signal, onProgress } = {}) {
+  if (signal?.aborted) throw createAbortError();
+  const stream = new Sha256Stream({ onProgress });
+  const onAbort = () => stream.close();
+  signal?.addEventListener?.("abort", onAbort, { once: true });
+  try {
+    await stream.update(blob);
+    return await stream.digest();
+  } finally {
+    signal?.removeEventListener?.("abort", onAbort);
+    stream.close();
+  }
+}
+
+export { bytesToHex, hashDataInBlocks, Sha256, sha256Blob, Sha256Stream };
@@ -0,0 +1,29 @@
+// Worker side of Sha256Stream: hashes what the page posts, strictly in order, off the main thread.
+// Page -> worker: { op: "update", data } | { op: "digest" }
+// Worker -> page: { op: "progress", bytes } | { op: "done", hex? } | { op: "error", message }
+
+import { hashDataInBlocks, Sha256 } from "./sha256.js";
+
+const hasher = new Sha256();
+let hashedBytes = 0;
+let queue = Promise.resolve();
+
+async function handle(msg) {
+  try {
+    if (msg?.op === "update") {
+      await hashDataInBlocks(hasher, msg.data, (bytes) => {
+        hashedBytes += bytes;
+        self.postMessage({ op: "progress", bytes: hashedBytes });
+      });
+      self.postMessage({ op: "done" });
+    } else if (msg?.op === "digest") {
+      self.postMessage({ op: "done", hex: hasher.hexDigest() });
+    }
+  } catch (err) {
+    self.postMessage({ op: "error", message: err?.message || String(err) });
+  }
+}
+
+self.onmessage = (e) => {
+  queue = queue.then(() => handle(e.data));
+};
@@ -0,0 +1,133 @@
+// Page side of public/download-sw.js: a writer with the same write/close/abort shape as
+// FileSystemWritableFileStream, backed by a service-worker download instead of a picked file.
+
+const WORKER_URL = `${import.meta.env.BASE_URL || "/"}download-sw.js`;
+const START_TIMEOUT_MS = 15_000;
+const MAX_UNACKED_CHUNKS = 2;
+
+let registrationPromise = null;
+
+function canStreamDownloads() {
+  return (
+    globalThis.isSecureContext === true &&
+    typeof navigator !== "undefined" &&
+    "serviceWorker" in navigator &&
+    typeof ReadableStream === "function" &&
+    typeof MessageChannel === "function"
+  );
+}
+
+function registerDownloadWorker() {
+  if (!canStreamDownloads()) return Promise.resolve(null);
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker
+      .register(WORKER_URL)
+      .then(() => navigator.serviceWorker.ready)
+      .catch((err) => {
+        console.warn("Download service worker unavailable:", err);
+        registrationPromise = null;
+        return null;
+      });
+  }
+  return registrationPromise;
+}
+
+async function createStreamDownloadWriter({ id, name, size }) {
+  const registration = await registerDownloadWorker();
+  const worker = registration?.active;
+  if (!worker) throw new Error("Streaming downloads aren't available in this browser");
+
+  const { port1: port, port2 } = new MessageChannel();
+  let frame = null;
+  let failure = null;
+  let unacked = 0;
+  let ackWaiter = null;
+  let startWaiter = null;
+
+  const fail = (err) => {
+    failure = failure || err;
+    ackWaiter?.();
+    startWaiter?.reject(failure);
+  };
+
+  port.onmessage = ({ data }) => {
+    if (!data) return;
+    if (data.type === "ready") {
+      // Navigating a hidden iframe starts a regular download without leaving the page.
+      frame = document.createElement("iframe");
+      frame.hidden = true;
+      frame.src = data.url;
+      document.body.appendChild(frame);
+    } else if (data.type === "started") {
+      startWaiter?.resolve();
+    } else if (data.type === "ack") {
+      unacked = Math.max(0, unacked - 1);
+      ackWaiter?.();
+    } else if (data.type === "cancelled") {
+      fail(new Error("Download canceled in the browser"));
+    }
+  };
+
+  const removeFrame = (delayMs) => {
+    const el = frame;
+    frame = null;
+    if (el) setTimeout(() => el.remove(), delayMs);
+  };
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error("The browser didn't start the download")), START_TIMEOUT_MS);
+      startWaiter = {
+        resolve: () => {
+          clearTimeout(timeoutId);
+          resolve();
+        },
+        reject: (err) => {
+          clearTimeout(timeoutId);
+          reject(err);
+        },
+      };
+      worker.postMessage({ type: "stream-download", id, name, size }, [port2]);
+    });
+  } catch (err) {
+    removeFrame(0);
+    port.close();
+    throw err;
+  } finally {
+    startWaiter = null;
+  }
+
+  const waitForAck = () =>
+    new Promise((resolve) => {
+      ackWaiter = () => {
+        ackWaiter = null;
+        resolve();
+      };
+    });
+
+  return {
+    async write(data) {
+      if (failure) throw failure;
+      const buf = data instanceof Blob ? await data.arrayBuffer() : data instanceof ArrayBuffer ? data : data.slice().buffer;
+      port.postMessage({ type: "chunk", data: buf }, [buf]);
+      unacked += 1;
+      while (unacked >= MAX_UNACKED_CHUNKS && !failure) await waitForAck();
+      if (failure) throw failure;
+    },
+    async close() {
+      if (failure) return;
+      port.postMessage({ type: "end" });
+      port.close();
+      // Keep the frame around while the browser finishes writing the download.
+      removeFrame(60_000);
+    },
+    async abort() {
+      fail(new Error("Aborted"));
+      try { port.postMessage({ type: "abort", reason: "Canceled" }); } catch {}
+      port.close();
+      removeFrame(1000);
+    },
+  };
+}
+
+export { canStreamDownloads, createStreamDownloadWriter, registerDownloadWorker };
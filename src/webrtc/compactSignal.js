@@ -0,0 +1,357 @@
+// Compact binary form of a data-channel-only session description (the SHR4: connection code).
+// Only what the other side needs to rebuild a working SDP is kept: ICE credentials, the DTLS
+// fingerprint and role, the SCTP parameters and the candidates, packed as binary, plus a CRC-32 so a
+// mistyped code is reported as such.
+
+const FORMAT_VERSION = 1;
+
+const SETUP_ROLES = ["actpass", "active", "passive"];
+const CANDIDATE_TYPES = ["host", "srflx", "prflx", "relay"];
+const TCP_TYPES = ["", "active", "passive", "so"];
+const HASH_FUNCTIONS = ["", "sha-256", "sha-384", "sha-512", "sha-1"];
+
+const ADDR_IPV4 = 0;
+const ADDR_IPV6 = 1;
+const ADDR_MDNS = 2; // Chrome's "<uuid>.local" host names
+const ADDR_NAME = 3;
+
+const MDNS_RE = /^([0-9a-f]{8})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{12})\.local$/i;
+
+class CompactSignalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CompactSignalError";
+  }
+}
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  u8(v) {
+    this.bytes.push(v & 0xff);
+  }
+
+  u16(v) {
+    this.u8(v >>> 8);
+    this.u8(v);
+  }
+
+  u32(v) {
+    this.u16(v >>> 16);
+    this.u16(v);
+  }
+
+  raw(arr) {
+    for (const b of arr) this.u8(b);
+  }
+
+  str(s) {
+    const encoded = new TextEncoder().encode(String(s ?? ""));
+    if (encoded.length > 255) throw new CompactSignalError("Field too long");
+    this.u8(encoded.length);
+    this.raw(encoded);
+  }
+
+  finish() {
+    const body = Uint8Array.from(this.bytes);
+    const out = new Uint8Array(body.length + 4);
+    out.set(body);
+    new DataView(out.buffer).setUint32(body.length, crc32(body));
+    return out;
+  }
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  need(n) {
+    if (this.pos + n > this.bytes.length) throw new CompactSignalError("The code is incomplete");
+  }
+
+  u8() {
+    this.need(1);
+    return this.bytes[this.pos++];
+  }
+
+  u16() {
+    return (this.u8() << 8) | this.u8();
+  }
+
+  u32() {
+    return ((this.u16() << 16) | this.u16()) >>> 0;
+  }
+
+  raw(n) {
+    this.need(n);
+    const out = this.bytes.subarray(this.pos, this.pos + n);
+    this.pos += n;
+    return out;
+  }
+
+  str() {
+    return new TextDecoder().decode(this.raw(this.u8()));
+  }
+}
+
+function parseIpv6(addr) {
+  const s = String(addr ?? "").replace(/^\[|\]$/g, "");
+  if (!s.includes(":") || s.includes("%")) return null;
+  const halves = s.split("::");
+  if (halves.length > 2) return null;
+  const parseGroups = (part) => (part ? part.split(":") : []);
+  const head = parseGroups(halves[0]);
+  const tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (missing < 0 || (halves.length === 1 && missing !== 0)) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...tail];
+  const out = new Uint8Array(16);
+  for (let i = 0; i < 8; i++) {
+    if (!/^[0-9a-f]{1,4}$/i.test(groups[i])) return null;
+    const v = parseInt(groups[i], 16);
+    out[i * 2] = v >>> 8;
+    out[i * 2 + 1] = v & 0xff;
+  }
+  return out;
+}
+
+function formatIpv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  return groups.join(":");
+}
+
+function hexToBytes(hex) {
+  const clean = String(hex).replace(/[^0-9a-f]/gi, "");
+  const out = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+  return out;
+}
+
+function bytesToHexPairs(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).toUpperCase().padStart(2, "0")).join(":");
+}
+
+function parseCandidate(line) {
+  const parts = String(line).replace(/^a=/, "").replace(/^candidate:/, "").trim().split(/\s+/);
+  if (parts.length < 8 || parts[6] !== "typ") return null;
+  const [foundation, component, transport, priority, address, port, , type] = parts;
+  if (component !== "1") return null;
+
+  const cand = {
+    foundation,
+    protocol: transport.toLowerCase(),
+    priority: Number(priority) >>> 0,
+    address,
+    port: Number(port),
+    type,
+    tcpType: "",
+  };
+  for (let i = 8; i + 1 < parts.length; i += 2) {
+    if (parts[i] === "tcptype") cand.tcpType = parts[i + 1];
+  }
+  if (cand.protocol !== "udp" && cand.protocol !== "tcp") return null;
+  if (!CANDIDATE_TYPES.includes(cand.type) || !TCP_TYPES.includes(cand.tcpType)) return null;
+  if (!Number.isInteger(cand.port) || cand.port < 0 || cand.port > 65535) return null;
+  return cand;
+}
+
+function writeCandidate(w, cand) {
+  let kind = ADDR_NAME;
+  let addrBytes = null;
+  const v4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(cand.address);
+  const mdns = MDNS_RE.exec(cand.address);
+  if (v4 && v4.slice(1).every((n) => Number(n) <= 255)) {
+    kind = ADDR_IPV4;
+    addrBytes = v4.slice(1).map(Number);
+  } else if (mdns) {
+    kind = ADDR_MDNS;
+    addrBytes = hexToBytes(mdns.slice(1).join(""));
+  } else if ((addrBytes = parseIpv6(cand.address))) {
+    kind = ADDR_IPV6;
+  }
+
+  w.u8(
+    CANDIDATE_TYPES.indexOf(cand.type) |
+      ((cand.protocol === "tcp" ? 1 : 0) << 2) |
+      (kind << 3) |
+      (TCP_TYPES.indexOf(cand.tcpType) << 5)
+  );
+  if (kind === ADDR_NAME) w.str(cand.address);
+  else w.raw(addrBytes);
+  w.u16(cand.port);
+  w.u32(cand.priority);
+  w.str(cand.foundation);
+}
+
+function readCandidate(r) {
+  const flags = r.u8();
+  const type = CANDIDATE_TYPES[flags & 3];
+  const protocol = (flags >> 2) & 1 ? "tcp" : "udp";
+  const kind = (flags >> 3) & 3;
+  const tcpType = TCP_TYPES[(flags >> 5) & 3];
+
+  let address;
+  if (kind === ADDR_IPV4) address = Array.from(r.raw(4)).join(".");
+  else if (kind === ADDR_IPV6) address = formatIpv6(r.raw(16));
+  else if (kind === ADDR_MDNS) {
+    const hex = Array.from(r.raw(16), (b) => b.toString(16).padStart(2, "0")).join("");
+    address = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}.local`;
+  } else address = r.str();
+
+  const port = r.u16();
+  const priority = r.u32();
+  const foundation = r.str();
+
+  let line = `candidate:${foundation} 1 ${protocol} ${priority} ${address} ${port} typ ${type}`;
+  // The related address only matters for diagnostics; browsers put a placeholder there too.
+  if (type !== "host") line += " raddr 0.0.0.0 rport 0";
+  if (protocol === "tcp" && tcpType) line += ` tcptype ${tcpType}`;
+  return line;
+}
+
+// Returns null when the description has anything this format can't carry (audio/video, several
+// m-sections, ...); the caller then falls back to the full SDP code.
+function packCompactSignal(desc, cfg = {}) {
+  const type = desc?.type;
+  const sdp = String(desc?.sdp ?? "");
+  if (type !== "offer" && type !== "answer") return null;
+
+  const lines = sdp.split(/\r?\n/).filter(Boolean);
+  const mLines = lines.filter((l) => l.startsWith("m="));
+  if (mLines.length !== 1 || !/^m=application \d+ UDP\/DTLS\/SCTP webrtc-datachannel$/.test(mLines[0])) return null;
+
+  const attr = (name) => {
+    const line = lines.find((l) => l.startsWith(`a=${name}:`));
+    return line ? line.slice(name.length + 3).trim() : "";
+  };
+  const ufrag = attr("ice-ufrag");
+  const pwd = attr("ice-pwd");
+  const mid = attr("mid");
+  const setup = attr("setup");
+  const sctpPort = Number(attr("sctp-port") || 5000);
+  const maxMessageSize = Number(attr("max-message-size") || 0);
+  const fp = /^(\S+)\s+([0-9A-Fa-f:]+)$/.exec(attr("fingerprint"));
+  if (!ufrag || !pwd || !mid || !fp || !SETUP_ROLES.includes(setup)) return null;
+  const hashId = HASH_FUNCTIONS.indexOf(fp[1].toLowerCase());
+  if (hashId <= 0) return null;
+  if (!Number.isInteger(sctpPort) || sctpPort <= 0 || sctpPort > 65535) return null;
+  if (!Number.isFinite(maxMessageSize) || maxMessageSize < 0 || maxMessageSize > 0xffffffff) return null;
+
+  const candidates = [];
+  for (const line of lines) {
+    if (!line.startsWith("a=candidate:")) continue;
+    const cand = parseCandidate(line);
+    if (!cand) return null;
+    candidates.push(cand);
+  }
+  if (candidates.length > 255) return null;
+
+  try {
+    const w = new ByteWriter();
+    w.u8(FORMAT_VERSION);
+    w.u8(
+      (type === "answer" ? 1 : 0) |
+        (SETUP_ROLES.indexOf(setup) << 1) |
+        ((cfg.stun ? 1 : 0) << 3) |
+        ((cfg.fileUnordered ? 1 : 0) << 4) |
+        ((cfg.fast ? 1 : 0) << 5) |
+        ((lines.includes("a=end-of-candidates") ? 1 : 0) << 6)
+    );
+    w.str(ufrag);
+    w.str(pwd);
+    w.str(mid);
+    const fpBytes = hexToBytes(fp[2]);
+    w.u8(hashId);
+    w.u8(fpBytes.length);
+    w.raw(fpBytes);
+    w.u16(sctpPort);
+    w.u32(maxMessageSize);
+    w.u8(candidates.length);
+    for (const cand of candidates) writeCandidate(w, cand);
+    return w.finish();
+  } catch (err) {
+    if (err instanceof CompactSignalError) return null;
+    throw err;
+  }
+}
+
+function unpackCompactSignal(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 5) throw new CompactSignalError("The code is incomplete");
+  const body = bytes.subarray(0, bytes.length - 4);
+  const expected = new DataView(bytes.buffer, bytes.byteOffset + body.length, 4).getUint32(0);
+  if (crc32(body) !== expected) {
+    throw new CompactSignalError("The code has a typo (checksum mismatch). Compare it with the other screen and try again.");
+  }
+
+  const r = new ByteReader(body);
+  const version = r.u8();
+  if (version !== FORMAT_VERSION) {
+    throw new CompactSignalError("This code was made by a newer version of the app. Reload both pages and try again.");
+  }
+  const flags = r.u8();
+  const type = flags & 1 ? "answer" : "offer";
+  const setup = SETUP_ROLES[(flags >> 1) & 3] || "actpass";
+  const cfg = { stun: (flags >> 3) & 1, fileUnordered: (flags >> 4) & 1, fast: (flags >> 5) & 1 };
+  const ended = Boolean((flags >> 6) & 1);
+  const ufrag = r.str();
+  const pwd = r.str();
+  const mid = r.str();
+  const hash = HASH_FUNCTIONS[r.u8()];
+  const fingerprintBytes = r.raw(r.u8());
+  const fingerprint = bytesToHexPairs(fingerprintBytes);
+  const sctpPort = r.u16();
+  const maxMessageSize = r.u32();
+  const candidateCount = r.u8();
+  const candidates = [];
+  for (let i = 0; i < candidateCount; i++) candidates.push(readCandidate(r));
+  if (!hash) throw new CompactSignalError("Unsupported fingerprint in the code");
+
+  // Same session id for every description of one peer (ICE restarts included), increasing version.
+  const sessionId = crc32(fingerprintBytes);
+  const sessionVersion = Math.floor(Date.now() / 1000);
+  const sdp = [
+    "v=0",
+    `o=- ${sessionId} ${sessionVersion} IN IP4 127.0.0.1`,
+    "s=-",
+    "t=0 0",
+    `a=group:BUNDLE ${mid}`,
+    "m=application 9 UDP/DTLS/SCTP webrtc-datachannel",
+    "c=IN IP4 0.0.0.0",
+    ...candidates.map((c) => `a=${c}`),
+    ...(ended ? ["a=end-of-candidates"] : []),
+    `a=ice-ufrag:${ufrag}`,
+    `a=ice-pwd:${pwd}`,
+    "a=ice-options:trickle",
+    `a=fingerprint:${hash} ${fingerprint}`,
+    `a=setup:${setup}`,
+    `a=mid:${mid}`,
+    `a=sctp-port:${sctpPort}`,
+    ...(maxMessageSize ? [`a=max-message-size:${maxMessageSize}`] : []),
+    "",
+  ].join("\r\n");
+
+  return { type, sdp, cfg };
+}
+
+export { CompactSignalError, packCompactSignal, unpackCompactSignal };
@@ -0,0 +1,137 @@
+// ICE server list for new connections. STUN and TURN each take several URLs; TURN credentials are
+// either the static ones from webrtcConfig or short-lived ones from a TURN REST endpoint.
+//
+// The endpoint follows the TURN REST API convention (what coturn's `use-auth-secret` checks):
+//   GET <turnRestUrl>?service=turn&username=<user>  ->  { username, password, ttl, uris }
+// where username is "<expiry unix time>:<user>" and password is base64(HMAC-SHA1(secret, username)),
+// so the TURN server can verify it without a user database. Replies are cached and fetched again
+// shortly before they expire.
+
+const TURN_REST_TIMEOUT_MS = 5000;
+const TURN_REFRESH_MARGIN_MS = 60_000; // fetch new credentials this long before the old ones expire
+const TURN_MIN_TTL_SEC = 30;
+
+let turnCache = null; // { restUrl, username, credential, urls, ttlMs, expiresAt }
+let turnFetch = null; // { restUrl, promise } while a request is in flight
+let turnRefreshTimer = 0;
+let turnUser = "";
+
+// Accepts a comma/whitespace separated string or an array; keeps stun:, stuns:, turn: and turns: URLs.
+function parseIceUrls(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[\s,]+/);
+  return list.map((url) => String(url ?? "").trim()).filter((url) => /^(stuns?|turns?):/i.test(url));
+}
+
+function getRefreshMargin(ttlMs) {
+  return Math.min(TURN_REFRESH_MARGIN_MS, ttlMs / 2);
+}
+
+function getTurnUser() {
+  if (!turnUser) {
+    const bytes = crypto.getRandomValues(new Uint8Array(6));
+    turnUser = `sharefile-${Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("")}`;
+  }
+  return turnUser;
+}
+
+async function requestTurnCredentials(restUrl) {
+  const url = new URL(restUrl, location.href);
+  url.searchParams.set("service", "turn");
+  url.searchParams.set("username", getTurnUser());
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), TURN_REST_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: ctrl.signal, cache: "no-store", credentials: "omit" });
+    if (!res.ok) throw new Error(`TURN credential endpoint answered ${res.status}`);
+    const body = await res.json();
+    const username = String(body?.username ?? "");
+    const credential = String(body?.password ?? body?.credential ?? "");
+    const ttlSec = Math.max(TURN_MIN_TTL_SEC, Number(body?.ttl) || 0);
+    if (!username || !credential) throw new Error("TURN credential endpoint sent no username/password");
+    const ttlMs = ttlSec * 1000;
+    return { restUrl, username, credential, urls: parseIceUrls(body?.uris ?? body?.urls), ttlMs, expiresAt: Date.now() + ttlMs };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function scheduleTurnRefresh(entry) {
+  if (turnRefreshTimer) clearTimeout(turnRefreshTimer);
+  const delay = Math.max(0, entry.expiresAt - getRefreshMargin(entry.ttlMs) - Date.now());
+  turnRefreshTimer = setTimeout(() => {
+    turnRefreshTimer = 0;
+    if (turnCache === entry) void fetchTurnCredentials(entry.restUrl).catch(() => {});
+  }, delay);
+}
+
+// One request at a time per endpoint; concurrent callers share it.
+function fetchTurnCredentials(restUrl) {
+  if (turnFetch?.restUrl === restUrl) return turnFetch.promise;
+  const promise = requestTurnCredentials(restUrl)
+    .then((entry) => {
+      if (turnFetch?.promise === promise) {
+        turnCache = entry;
+        scheduleTurnRefresh(entry);
+      }
+      return entry;
+    })
+    .finally(() => {
+      if (turnFetch?.promise === promise) turnFetch = null;
+    });
+  turnFetch = { restUrl, promise };
+  return promise;
+}
+
+// Cached credentials while they have more than the refresh margin left, otherwise fresh ones.
+async function getTurnCredentials(restUrl) {
+  const cached = turnCache?.restUrl === restUrl ? turnCache : null;
+  if (cached && cached.expiresAt - Date.now() > getRefreshMargin(cached.ttlMs)) return cached;
+  try {
+    return await fetchTurnCredentials(restUrl);
+  } catch (err) {
+    console.warn("[TURN] Fetching credentials failed:", err?.message || err);
+    // Slightly stale credentials still beat none; the TURN server decides.
+    return cached && cached.expiresAt > Date.now() ? cached : null;
+  }
+}
+
+function clearTurnCredentialCache() {
+  if (turnRefreshTimer) clearTimeout(turnRefreshTimer);
+  turnRefreshTimer = 0;
+  turnCache = null;
+  turnFetch = null;
+}
+
+// Builds RTCConfiguration.iceServers from `config` (webrtcConfig).
+async function getIceServers(config) {
+  const iceServers = [];
+  if (config.useStun) {
+    const stunUrls = parseIceUrls(config.stunUrls);
+    if (stunUrls.length) iceServers.push({ urls: stunUrls });
+  }
+  if (!config.useTurn) return iceServers;
+
+  const staticUrls = parseIceUrls(config.turnUrl);
+  const restUrl = String(config.turnRestUrl ?? "").trim();
+  const rest = restUrl ? await getTurnCredentials(restUrl) : null;
+  if (rest) {
+    const urls = rest.urls.length ? rest.urls : staticUrls;
+    if (urls.length) iceServers.push({ urls, username: rest.username, credential: rest.credential });
+    return iceServers;
+  }
+  if (staticUrls.length) {
+    const server = { urls: staticUrls };
+    const u = String(config.turnUsername ?? "").trim();
+    const p = String(config.turnCredential ?? "");
+    if (u) server.username = u;
+    if (p) server.credential = p;
+    iceServers.push(server);
+  }
+  return iceServers;
+}
+
+function hasTurnServer(iceServers) {
+  return iceServers.some((server) => [].concat(server.urls).some((url) => /^turns?:/i.test(url)));
+}
+
+export { clearTurnCredentialCache, getIceServers, getTurnCredentials, hasTurnServer, parseIceUrls };
@@ -0,0 +1,205 @@
+// "Test my network": gathers ICE candidates on throwaway connections with the current ICE servers
+// and explains what they mean for pairing. No peer is involved; only the configured STUN/TURN
+// servers (and the TURN REST endpoint) are contacted.
+//
+// One connection gathers with every server to see which candidate types come up; one more per TURN
+// transport (udp, tcp, tls) gathers relay candidates only, so a server that answers over TCP but not
+// over UDP shows up as such.
+
+import { getIceServers, getTurnCredentials, parseIceUrls } from "./iceServers.js";
+import { normalizeLanIpOverride } from "./peerClient.js";
+
+const GATHER_TIMEOUT_MS = 8000;
+const TURN_TRANSPORTS = ["udp", "tcp", "tls"];
+
+function getTurnTransport(url) {
+  if (/^turns:/i.test(url)) return "tls";
+  return /[?&]transport=tcp\b/i.test(url) ? "tcp" : "udp";
+}
+
+function parseCandidate(candidate) {
+  const parts = String(candidate.candidate || "").split(" ");
+  // candidate:<foundation> <component> <proto> <priority> <address> <port> typ <type> ...
+  return {
+    type: String(candidate.type || parts[7] || ""),
+    protocol: String(candidate.protocol || parts[2] || "").toLowerCase(),
+    address: String(candidate.address || parts[4] || ""),
+  };
+}
+
+// Resolves to { candidates, errors } once gathering completes or the timeout runs out.
+async function gatherCandidates(rtcConfig, timeoutMs) {
+  const pc = new RTCPeerConnection(rtcConfig);
+  const candidates = [];
+  const errors = [];
+  try {
+    pc.createDataChannel("probe");
+    const done = new Promise((resolve) => {
+      const timer = setTimeout(resolve, timeoutMs);
+      pc.onicecandidate = (e) => {
+        if (e.candidate) {
+          if (e.candidate.candidate) candidates.push(parseCandidate(e.candidate));
+          return;
+        }
+        clearTimeout(timer);
+        resolve();
+      };
+      pc.onicecandidateerror = (e) => {
+        errors.push({ url: String(e.url || ""), code: Number(e.errorCode) || 0, text: String(e.errorText || "") });
+      };
+    });
+    await pc.setLocalDescription(await pc.createOffer());
+    await done;
+  } finally {
+    try { pc.close(); } catch {}
+  }
+  return { candidates, errors };
+}
+
+function isIpv6(address) {
+  return address.includes(":");
+}
+
+// `config` is webrtcConfig. Resolves to the facts the advice and the report are built from.
+async function runNetworkTest(config, { timeoutMs = GATHER_TIMEOUT_MS } = {}) {
+  if (typeof RTCPeerConnection === "undefined") throw new Error("WebRTC isn't available in this browser");
+
+  const restUrl = config.useTurn ? String(config.turnRestUrl ?? "").trim() : "";
+  const turnRest = restUrl ? ((await getTurnCredentials(restUrl)) ? "ok" : "failed") : "off";
+  const iceServers = await getIceServers(config);
+  const turnServers = iceServers.filter((server) => [].concat(server.urls).some((url) => /^turns?:/i.test(url)));
+
+  const transportRuns = TURN_TRANSPORTS.map((transport) => {
+    const servers = turnServers
+      .map((server) => ({ ...server, urls: [].concat(server.urls).filter((url) => getTurnTransport(url) === transport) }))
+      .filter((server) => server.urls.length);
+    return servers.length ? gatherCandidates({ iceServers: servers, iceTransportPolicy: "relay" }, timeoutMs) : null;
+  });
+  const [main, ...turnRuns] = await Promise.all([gatherCandidates({ iceServers }, timeoutMs), ...transportRuns]);
+
+  const types = { host: 0, srflx: 0, prflx: 0, relay: 0 };
+  for (const c of main.candidates) if (c.type in types) types[c.type] += 1;
+  const hosts = main.candidates.filter((c) => c.type === "host");
+  // Relay addresses belong to the TURN server, not to this device.
+  const visible = main.candidates.filter((c) => c.type !== "relay" && c.address && !c.address.endsWith(".local"));
+  const hidden = !visible.length;
+
+  const turn = {};
+  TURN_TRANSPORTS.forEach((transport, i) => {
+    const run = turnRuns[i];
+    turn[transport] = !run ? "none" : run.candidates.some((c) => c.type === "relay") ? "ok" : "failed";
+  });
+
+  const errors = [main, ...turnRuns.filter(Boolean)].flatMap((run) => run.errors);
+  return {
+    types,
+    mdns: hosts.some((c) => c.address.endsWith(".local")),
+    localAddresses: [...new Set(hosts.map((c) => c.address).filter((a) => a && !a.endsWith(".local")))],
+    publicAddresses: [...new Set(main.candidates.filter((c) => c.type === "srflx").map((c) => c.address).filter(Boolean))],
+    // null: every address this device has was hidden, so there's nothing to tell from.
+    ipv4: hidden ? null : visible.some((c) => !isIpv6(c.address)),
+    ipv6: hidden ? null : visible.some((c) => isIpv6(c.address)),
+    stunConfigured: Boolean(config.useStun && parseIceUrls(config.stunUrls).length),
+    turnConfigured: turnServers.length > 0,
+    turnRest,
+    turn,
+    errors: errors.filter((e, i) => errors.findIndex((o) => o.url === e.url && o.code === e.code) === i),
+  };
+}
+
+// Plain-language findings, worst first: [{ level: "error" | "warn" | "ok", text }].
+function getNetworkAdvice(result, config) {
+  const advice = [];
+  const { types, turn } = result;
+  const turnOk = TURN_TRANSPORTS.filter((t) => turn[t] === "ok");
+  const turnStreamOk = turn.tcp === "ok" || turn.tls === "ok";
+
+  if (!types.host && !types.srflx && !types.relay) {
+    advice.push({
+      level: "error",
+      text: "No connection candidates came up at all. A browser setting or extension (WebRTC leak protection, strict privacy mode) is probably blocking WebRTC; allow it for this site.",
+    });
+    return advice;
+  }
+
+  if (!result.stunConfigured) {
+    advice.push({
+      level: "warn",
+      text: "STUN is off, so this device can only connect directly to devices on the same network. Turn on STUN in Settings to connect across networks.",
+    });
+  } else if (!types.srflx) {
+    advice.push({
+      level: "error",
+      text: `The STUN server didn't answer. This network probably blocks outgoing UDP (or the STUN URL is wrong), so direct connections to other networks won't work. ${
+        turnStreamOk
+          ? "Your TURN server works over TCP/TLS; turn on “Always relay” in Settings to skip the direct attempts."
+          : "Add a TURN server reachable over TCP or TLS (turns: on port 443 gets through most firewalls) in Settings."
+      }`,
+    });
+  } else {
+    advice.push({
+      level: "ok",
+      text: `STUN works: other networks see this device as ${result.publicAddresses.join(", ")}.`,
+    });
+  }
+
+  if (result.mdns) {
+    const lanIp = config.useLanIpOverride ? normalizeLanIpOverride(config.lanIpOverride) : "";
+    advice.push(
+      lanIp
+        ? { level: "ok", text: `Your browser hides local addresses behind “.local” names (mDNS); ${lanIp} is announced in their place.` }
+        : {
+            // Normal in current browsers, so not a warning on its own.
+            level: "ok",
+            text: "Your browser hides local addresses behind random “.local” names (mDNS). Most devices on the same Wi‑Fi still find each other, but if they don't, turn on “Announce a fixed LAN IP” in Settings and enter this device's LAN IP.",
+          }
+    );
+  }
+
+  if (result.ipv6 && !result.ipv4) {
+    advice.push({
+      level: "warn",
+      text: "Only IPv6 was found. Devices on IPv4-only networks can't reach this one directly; a TURN server bridges the two.",
+    });
+  }
+
+  if (result.turnRest === "failed") {
+    advice.push({
+      level: "error",
+      text: "Couldn't get TURN credentials from the credential endpoint. Check its URL in Settings and that it is up.",
+    });
+  }
+  if (!result.turnConfigured) {
+    if (types.srflx) {
+      advice.push({
+        level: "ok",
+        text: "No TURN server is set. Most networks connect without one; it only matters when both sides are behind strict NATs or client-isolated guest Wi‑Fi.",
+      });
+    }
+  } else if (!turnOk.length) {
+    const rejected = result.errors.some((e) => e.code === 401 || e.code === 403);
+    advice.push({
+      level: "error",
+      text: rejected
+        ? "The TURN server rejected the credentials. Check the TURN username/password or the REST endpoint's secret."
+        : "None of the TURN servers handed out a relay address. Check the TURN URLs in Settings and that the server is reachable from this network.",
+    });
+  } else if (turn.udp !== "ok" && turnStreamOk) {
+    advice.push({
+      level: "warn",
+      text: `TURN works over ${turnOk.map((t) => t.toUpperCase()).join(" and ")} only${
+        turn.udp === "failed" ? "; UDP to the TURN server is blocked" : ""
+      }. Relayed sessions will work, a bit slower.`,
+    });
+  } else {
+    advice.push({ level: "ok", text: `TURN works over ${turnOk.map((t) => t.toUpperCase()).join(", ")}.` });
+  }
+
+  if (!advice.some((a) => a.level !== "ok")) {
+    advice.push({ level: "ok", text: "This network looks good for direct connections." });
+  }
+  const rank = { error: 0, warn: 1, ok: 2 };
+  return advice.sort((a, b) => rank[a.level] - rank[b.level]);
+}
+
+export { getNetworkAdvice, runNetworkTest };
@@ -1,10 +1,15 @@
 // Core WebRTC utilities, configuration, and the PeerClient implementation.
 
+import { deriveShortAuthString, extractDtlsFingerprint } from "../utils/sas.js";
+import { packCompactSignal, unpackCompactSignal } from "./compactSignal.js";
+import { clearTurnCredentialCache, getIceServers, hasTurnServer, parseIceUrls } from "./iceServers.js";
+
 // --- Signal Prefixes ---
 const SIGNAL_PREFIX_GZIP = "SHR1:";
 const SIGNAL_PREFIX_RAW = "SHR0:";
 const SIGNAL_PREFIX_GZIP_B32 = "SHR2:";
 const SIGNAL_PREFIX_RAW_B32 = "SHR3:";
+const SIGNAL_PREFIX_COMPACT = "SHR4:"; // binary-packed SDP essentials + CRC-32 (see compactSignal.js)
 
 // --- Operational Constants ---
 const FILE_CHUNK_SIZE = 256 * 1024; // 256KB
@@ -12,26 +17,50 @@ const UI_PROGRESS_MIN_INTERVAL_MS = 80;
 const HEARTBEAT_INTERVAL_MS = 1200;
 const HEARTBEAT_TIMEOUT_MS = 30_000;
 const CTRL_CHANNEL_LABEL = "sharefile-ctrl";
+const STUN_SERVER_URL = "stun:stun.l.google.com:19302";
 const FILE_CHANNEL_LABEL_PREFIX = "sharefile-file:";
 const FILE_FRAME_HEADER_BYTES = 8; // seq(u32) + len(u32)
 const PROTOCOL_VERSION = 2;
-
-// Mutable runtime configuration shared across the app.
-const webrtcConfig = {
+const ICE_RESTART_GRACE_MS = 3000; // "disconnected" often heals on its own; give it a moment first
+const ICE_RESTART_RETRY_MS = 12_000;
+const ICE_RESTART_MAX_ATTEMPTS = 5;
+const ICE_RECOVERY_TIMEOUT_MS = ICE_RESTART_GRACE_MS + ICE_RESTART_RETRY_MS * ICE_RESTART_MAX_ATTEMPTS;
+const DIRECT_PATH_TIMEOUT_MS = 10_000; // no working candidate pair by then: retry relay-only if TURN is set up
+const DEFAULT_CODE_LIFETIME_SEC = 600;
+const MIN_CODE_LIFETIME_SEC = 30;
+
+// Built-in defaults; a deployment can change them (setConfigDefaults) and "Reset" goes back to them.
+const configDefaults = {
   useStun: true,
+  stunUrls: [STUN_SERVER_URL],
   useSignalCompression: true,
   useUnorderedFileChannel: true,
   useFastTransfer: true,
   useLanIpOverride: false,
   lanIpOverride: "",
   useTurn: false,
-  turnUrl: "",
+  turnUrl: "", // one or more TURN URLs, comma-separated
+  turnRestUrl: "", // TURN REST endpoint for short-lived credentials (see iceServers.js)
   turnUsername: "",
   turnCredential: "",
   forceTurnRelay: false,
+  requireSasConfirm: false,
+  codeLifetimeSec: DEFAULT_CODE_LIFETIME_SEC,
+  // Nearby discovery: the name other devices see ("" = derived from the browser) and an optional
+  // group name that replaces the network as the lobby key.
+  nearbyName: "",
+  nearbyGroup: "",
 };
 
-if (!hasStreamCompression()) webrtcConfig.useSignalCompression = false;
+// Mutable runtime configuration shared across the app; stored settings are loaded below.
+const webrtcConfig = { ...configDefaults, stunUrls: [...configDefaults.stunUrls] };
+
+// 0 keeps a room code until the tab closes; anything else is clamped to a sane minimum.
+function normalizeCodeLifetime(seconds) {
+  const n = Math.floor(Number(seconds));
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.max(MIN_CODE_LIFETIME_SEC, n);
+}
 
 const storageSet = (key, value) => {
   try {
@@ -49,6 +78,14 @@ const storageGet = (key) => {
   }
 };
 
+const storageRemove = (key) => {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    /* ignore */
+  }
+};
+
 function setUseStun(enabled) {
   webrtcConfig.useStun = Boolean(enabled);
   storageSet("sharefile_use_stun", webrtcConfig.useStun ? "1" : "0");
@@ -88,11 +125,23 @@ function setUseTurn(enabled) {
   if (box) box.style.display = webrtcConfig.useTurn ? "" : "none";
 }
 
+function setStunUrls(value) {
+  webrtcConfig.stunUrls = parseIceUrls(value);
+  storageSet("sharefile_stun_urls", webrtcConfig.stunUrls.join(","));
+}
+
 function setTurnUrl(value) {
   webrtcConfig.turnUrl = String(value ?? "");
   storageSet("sharefile_turn_url", webrtcConfig.turnUrl);
 }
 
+function setTurnRestUrl(value) {
+  const next = String(value ?? "").trim();
+  if (next !== webrtcConfig.turnRestUrl) clearTurnCredentialCache();
+  webrtcConfig.turnRestUrl = next;
+  storageSet("sharefile_turn_rest_url", webrtcConfig.turnRestUrl);
+}
+
 function setTurnUsername(value) {
   webrtcConfig.turnUsername = String(value ?? "");
   storageSet("sharefile_turn_username", webrtcConfig.turnUsername);
@@ -108,8 +157,157 @@ function setForceTurnRelay(enabled) {
   storageSet("sharefile_turn_force_relay", webrtcConfig.forceTurnRelay ? "1" : "0");
 }
 
+function setRequireSasConfirm(enabled) {
+  webrtcConfig.requireSasConfirm = Boolean(enabled);
+  storageSet("sharefile_require_sas", webrtcConfig.requireSasConfirm ? "1" : "0");
+}
+
+function setCodeLifetime(seconds) {
+  webrtcConfig.codeLifetimeSec = normalizeCodeLifetime(seconds);
+  storageSet("sharefile_code_lifetime", String(webrtcConfig.codeLifetimeSec));
+}
+
+function setNearbyName(value) {
+  webrtcConfig.nearbyName = String(value ?? "").trim().slice(0, 40);
+  storageSet("sharefile_nearby_name", webrtcConfig.nearbyName);
+}
+
+function setNearbyGroup(value) {
+  webrtcConfig.nearbyGroup = String(value ?? "").trim().slice(0, 64);
+  storageSet("sharefile_nearby_group", webrtcConfig.nearbyGroup);
+}
+
+// --- Stored settings ---
+// Every persisted webrtcConfig field: its localStorage key, how it is stored, and the setter that
+// applies it. This drives loading at startup, reset, and export/import of presets.
+const SETTINGS = {
+  useStun: { key: "sharefile_use_stun", type: "flag", set: setUseStun },
+  stunUrls: { key: "sharefile_stun_urls", type: "list", set: setStunUrls },
+  useSignalCompression: { key: "sharefile_signal_compress", type: "flag", set: setUseSignalCompression },
+  useUnorderedFileChannel: { key: "sharefile_file_unordered", type: "flag", set: setUseFileUnordered },
+  useFastTransfer: { key: "sharefile_transfer_fast", type: "flag", set: setUseFastTransfer },
+  useLanIpOverride: { key: "sharefile_lan_ip_override", type: "flag", set: setUseLanIpOverride },
+  lanIpOverride: { key: "sharefile_lan_ip_value", type: "string", set: setLanIpOverrideValue },
+  useTurn: { key: "sharefile_turn_enabled", type: "flag", set: setUseTurn },
+  turnUrl: { key: "sharefile_turn_url", type: "string", set: setTurnUrl },
+  turnRestUrl: { key: "sharefile_turn_rest_url", type: "string", set: setTurnRestUrl },
+  turnUsername: { key: "sharefile_turn_username", type: "string", set: setTurnUsername },
+  turnCredential: { key: "sharefile_turn_credential", type: "string", set: setTurnCredential },
+  forceTurnRelay: { key: "sharefile_turn_force_relay", type: "flag", set: setForceTurnRelay },
+  requireSasConfirm: { key: "sharefile_require_sas", type: "flag", set: setRequireSasConfirm },
+  codeLifetimeSec: { key: "sharefile_code_lifetime", type: "number", set: setCodeLifetime },
+  nearbyName: { key: "sharefile_nearby_name", type: "string", set: setNearbyName, deviceOnly: true },
+  nearbyGroup: { key: "sharefile_nearby_group", type: "string", set: setNearbyGroup },
+};
+const SETTINGS_FORMAT = "share-file-settings";
+const SETTINGS_VERSION = 1; // bump when a field changes meaning
+
+function parseStoredSetting(type, raw) {
+  switch (type) {
+    case "flag":
+      return raw === "1";
+    case "number": {
+      const n = Number(raw);
+      return Number.isFinite(n) ? n : undefined;
+    }
+    case "list":
+      return parseIceUrls(raw);
+    default:
+      return raw;
+  }
+}
+
+function cloneSetting(value) {
+  return Array.isArray(value) ? [...value] : value;
+}
+
+function loadStoredSettings() {
+  for (const [field, { key, type }] of Object.entries(SETTINGS)) {
+    const raw = storageGet(key);
+    if (raw === null) continue;
+    const value = parseStoredSetting(type, raw);
+    if (value !== undefined) webrtcConfig[field] = value;
+  }
+  webrtcConfig.codeLifetimeSec = normalizeCodeLifetime(webrtcConfig.codeLifetimeSec);
+  if (!hasStreamCompression()) webrtcConfig.useSignalCompression = false;
+}
+
+// Deployment defaults (.env): they replace the built-in ones, but not what the user has stored.
+function setConfigDefaults(defaults) {
+  for (const [field, value] of Object.entries(defaults || {})) {
+    const setting = SETTINGS[field];
+    if (!setting || value === undefined) continue;
+    configDefaults[field] = cloneSetting(value);
+    if (storageGet(setting.key) === null) webrtcConfig[field] = cloneSetting(value);
+  }
+}
+
+function resetSettings() {
+  for (const [field, { key }] of Object.entries(SETTINGS)) {
+    storageRemove(key);
+    webrtcConfig[field] = cloneSetting(configDefaults[field]);
+  }
+  if (!hasStreamCompression()) webrtcConfig.useSignalCompression = false;
+  clearTurnCredentialCache();
+}
+
+// Returns a problem description for `value`, or "" when it can be applied to `field`.
+function validateSetting(field, value) {
+  const setting = Object.hasOwn(SETTINGS, field) ? SETTINGS[field] : null;
+  if (!setting) return `Unknown setting "${field}"`;
+  switch (setting.type) {
+    case "flag":
+      if (typeof value !== "boolean") return `${field} must be true or false`;
+      return "";
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) return `${field} must be a number of seconds (0 or more)`;
+      return "";
+    case "list": {
+      const list = Array.isArray(value) ? value : typeof value === "string" ? value.split(/[\s,]+/).filter(Boolean) : null;
+      if (!list || list.some((url) => typeof url !== "string")) return `${field} must be a list of URLs`;
+      const bad = list.find((url) => !/^stuns?:/i.test(url));
+      return bad ? `"${bad}" is not a stun: URL` : "";
+    }
+    default:
+      break;
+  }
+  if (typeof value !== "string") return `${field} must be text`;
+  if (field === "lanIpOverride" && value.trim() && !normalizeLanIpOverride(value)) return `"${value}" is not an IPv4 address`;
+  if (field === "turnUrl") {
+    const bad = value.split(/[\s,]+/).filter(Boolean).find((url) => !/^turns?:/i.test(url));
+    if (bad) return `"${bad}" is not a turn: or turns: URL`;
+  }
+  if (field === "turnRestUrl" && value.trim() && !/^https?:\/\/\S+$/i.test(value.trim())) return "The TURN credential endpoint must be an http(s) URL";
+  return "";
+}
+
+function exportSettings() {
+  const settings = {};
+  for (const [field, setting] of Object.entries(SETTINGS)) {
+    if (!setting.deviceOnly) settings[field] = cloneSetting(webrtcConfig[field]);
+  }
+  return { format: SETTINGS_FORMAT, version: SETTINGS_VERSION, settings };
+}
+
+// Applies an exported preset (or a plain { field: value } object). All or nothing: on any invalid
+// value nothing changes and the problems are returned. Unknown fields are skipped and listed.
+function importSettings(data) {
+  const settings = data?.format === SETTINGS_FORMAT ? data.settings : data;
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return { applied: [], ignored: [], errors: ["Not a settings file"] };
+  }
+  const entries = Object.entries(settings).filter(([field]) => Object.hasOwn(SETTINGS, field));
+  const ignored = Object.keys(settings).filter((field) => !Object.hasOwn(SETTINGS, field));
+  const errors = entries.map(([field, value]) => validateSetting(field, value)).filter(Boolean);
+  if (errors.length) return { applied: [], ignored, errors };
+  for (const [field, value] of entries) SETTINGS[field].set(value);
+  return { applied: entries.map(([field]) => field), ignored, errors: [] };
+}
+
+loadStoredSettings();
+
 function applyRemoteSignalConfig(cfg) {
-  // Settings are fixed defaults and hidden from UI; ignore remote config to keep behavior consistent.
+  // Each side runs on its own settings; ignore the peer's config to keep behavior predictable.
   void cfg;
 }
 
@@ -167,6 +365,17 @@ function normalizeLanIpOverride(value) {
   return isValidIpv4(s) ? s : "";
 }
 
+// Works on both SDP lines ("a=candidate:...") and trickled candidate strings ("candidate:...").
+function rewriteMdnsHostCandidate(line, ip) {
+  if (!line || !line.includes(" typ host")) return line;
+  const parts = line.split(" ");
+  if (parts.length < 6) return line;
+  const addr = parts[4];
+  if (!addr || !addr.endsWith(".local")) return line;
+  parts[4] = ip;
+  return parts.join(" ");
+}
+
 function rewriteMdnsHostCandidatesInSdp(sdp, ipv4) {
   const ip = normalizeLanIpOverride(ipv4);
   if (!ip) return sdp;
@@ -180,13 +389,9 @@ function rewriteMdnsHostCandidatesInSdp(sdp, ipv4) {
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
     if (!line || !line.startsWith("a=candidate:")) continue;
-    if (!line.includes(" typ host")) continue;
-    const parts = line.split(" ");
-    if (parts.length < 6) continue;
-    const addr = parts[4];
-    if (!addr || !addr.endsWith(".local")) continue;
-    parts[4] = ip;
-    lines[i] = parts.join(" ");
+    const next = rewriteMdnsHostCandidate(line, ip);
+    if (next === line) continue;
+    lines[i] = next;
     changed = true;
   }
 
@@ -302,7 +507,7 @@ function base32DecodeToBytes(input) {
     const ch = s.charCodeAt(i);
     if (ch === 10 || ch === 13 || ch === 9 || ch === 32) continue; // \n \r \t space
     const val = ch < 256 ? BASE32_LOOKUP[ch] : -1;
-    if (val < 0) throw new Error("Invalid base32 character");
+    if (val < 0) throw new Error(`Invalid character "${s[i]}" in the code`);
     buffer = (buffer << 5) | val;
     bits += 5;
     while (bits >= 8) {
@@ -313,6 +518,11 @@ function base32DecodeToBytes(input) {
   return new Uint8Array(out);
 }
 
+function getIceUfrag(sdp) {
+  const match = /^a=ice-ufrag:(\S+)/m.exec(String(sdp ?? ""));
+  return match ? match[1] : "";
+}
+
 function hasStreamCompression() {
   return typeof CompressionStream === "function" && typeof DecompressionStream === "function";
 }
@@ -331,40 +541,290 @@ class PeerClient {
     this._hbTimer = 0;
     this._peerTimedOut = false;
     this._lastPeerActivityAt = 0;
+    this.heartbeatRttMs = 0; // round trip of the last answered hb-ping (0 = none yet)
     this.remoteCaps = null;
     this._remoteCapsWaiters = new Set(); // Set<(caps|null)=>void>
+
+    // Trickle ICE: local candidates are reported as they're gathered (null = gathering finished);
+    // remote ones that arrive before the remote description are held until it's set.
+    this.onLocalCandidate = null; // (candidateInit|null) => void
+    this.localCandidates = [];
+    this.localCandidatesDone = false;
+    this._pendingRemoteCandidates = [];
+    this._remoteCandidateKeys = new Set();
+
+    // ICE restart: the offerer renegotiates on the same connection, so open channels (and every
+    // transfer on them) survive a network change. Offers/answers go over the control channel when
+    // it still works and through onRenegotiate (signaling server) otherwise.
+    this.isOfferer = false;
+    this.onRenegotiate = null; // (code: string) => void
+    this._iceRecovery = null; // { attempts, timer, gaveUp }
+    this._wasConnected = false;
+    this._lastRestartUfrag = "";
+
+    // Relay fallback (offerer only): when host/srflx pairs never connect (symmetric NAT, client
+    // isolation), ICE is restarted with relay-only candidates instead of waiting for a timeout.
+    this.onRelayFallback = null; // () => void
+    this.relayFallback = false; // this session was moved to relay-only ICE
+    this._relayFallbackTimer = 0;
+    this._closed = false; // close() was called; a setupPC still waiting for ICE servers drops its pc
   }
 
-  async createOffer() {
-    this.setupPC();
+  // With `trickle`, the code is returned right away and candidates follow through onLocalCandidate.
+  // Without it (copy-paste codes), every candidate is gathered into the one code first.
+  async createOffer({ trickle = false } = {}) {
+    await this.setupPC();
+    this.isOfferer = true;
     this.dc = this.pc.createDataChannel(CTRL_CHANNEL_LABEL, { ordered: true });
     this.setupCtrlDC(this.dc);
     
     const offer = await this.pc.createOffer();
     await this.pc.setLocalDescription(offer);
-    await this.waitForIceComplete({ timeoutMs: webrtcConfig.useStun ? 15000 : 7000 });
+    if (!trickle) await this.waitForIceComplete({ timeoutMs: webrtcConfig.useStun ? 15000 : 7000 });
     return this.encodeSignal(this.pc.localDescription);
   }
 
-  async createAnswer(offerCode) {
+  async createAnswer(offerCode, { trickle = false } = {}) {
     const decoded = await this.decodeSignal(offerCode);
     applyRemoteSignalConfig(decoded?.cfg);
 
-    this.setupPC();
+    await this.setupPC();
+    this.isOfferer = false;
     await this.pc.setRemoteDescription({ type: decoded?.type, sdp: decoded?.sdp });
+    await this._flushRemoteCandidates();
 
     const answer = await this.pc.createAnswer();
     await this.pc.setLocalDescription(answer);
-    await this.waitForIceComplete({ timeoutMs: webrtcConfig.useStun ? 15000 : 7000 });
+    if (!trickle) await this.waitForIceComplete({ timeoutMs: webrtcConfig.useStun ? 15000 : 7000 });
     return this.encodeSignal(this.pc.localDescription);
   }
 
   async applyAnswer(answerCode) {
     const decoded = await this.decodeSignal(answerCode);
     await this.pc.setRemoteDescription({ type: decoded?.type, sdp: decoded?.sdp });
+    await this._flushRemoteCandidates();
+    this._armRelayFallback();
+  }
+
+  // Restarting needs a way to deliver the new offer, so only signaling-server sessions get this.
+  _armRelayFallback() {
+    this._clearRelayFallback();
+    if (!this.onRenegotiate || this._wasConnected || this.relayFallback) return;
+    this._relayFallbackTimer = setTimeout(() => {
+      this._relayFallbackTimer = 0;
+      void this._fallBackToRelay();
+    }, DIRECT_PATH_TIMEOUT_MS);
+  }
+
+  _clearRelayFallback() {
+    if (this._relayFallbackTimer) clearTimeout(this._relayFallbackTimer);
+    this._relayFallbackTimer = 0;
+  }
+
+  // Returns false when there is nothing to fall back to (already relayed, no TURN server, connected).
+  async _fallBackToRelay() {
+    this._clearRelayFallback();
+    const pc = this.pc;
+    if (!pc || pc.signalingState === "closed" || this._wasConnected || this.relayFallback) return false;
+    if (pc.connectionState === "connected" || !this.onRenegotiate) return false;
+    await this._refreshIceServers();
+    if (this.pc !== pc || pc.signalingState === "closed") return false;
+    const config = pc.getConfiguration();
+    if (config.iceTransportPolicy === "relay" || !hasTurnServer(config.iceServers || [])) return false;
+
+    console.warn("[ICE] No direct path came up; restarting ICE with relay candidates only.");
+    this.relayFallback = true;
+    try {
+      pc.setConfiguration({ ...config, iceTransportPolicy: "relay" });
+      await this._sendIceRestartOffer();
+    } catch (err) {
+      console.warn("[ICE] Relay fallback failed:", err);
+      return false;
+    }
+    this.onRelayFallback?.();
+    return true;
+  }
+
+  // `init` is an RTCIceCandidateInit from the other side, or null for end-of-candidates.
+  async addRemoteCandidate(init) {
+    if (init) {
+      const candidate = String(init.candidate ?? "");
+      if (!candidate) return;
+      const key = `${init.usernameFragment ?? ""}|${candidate}`;
+      if (this._remoteCandidateKeys.has(key)) return; // re-sent along with a repeated offer
+      this._remoteCandidateKeys.add(key);
+    }
+    // During an ICE restart, candidates for the new credentials can beat the new description.
+    const ufrag = String(init?.usernameFragment ?? "");
+    const remoteUfrag = getIceUfrag(this.pc?.remoteDescription?.sdp);
+    if (!this.pc?.remoteDescription || (ufrag && remoteUfrag && ufrag !== remoteUfrag)) {
+      this._pendingRemoteCandidates.push(init);
+      return;
+    }
+    await this._applyRemoteCandidate(init);
+  }
+
+  // Answerer side of an ICE restart. Returns the answer code, or "" if this restart was already handled
+  // (the same restart can arrive over both the control channel and the signaling server).
+  async acceptRestartOffer(offerCode) {
+    const decoded = await this.decodeSignal(offerCode);
+    const pc = this.pc;
+    if (!pc || pc.signalingState === "closed" || decoded?.type !== "offer") return "";
+    const ufrag = getIceUfrag(decoded.sdp);
+    if (!ufrag || ufrag === this._lastRestartUfrag) return "";
+    this._lastRestartUfrag = ufrag;
+
+    this.localCandidates = [];
+    this.localCandidatesDone = false;
+    await this._refreshIceServers();
+    await pc.setRemoteDescription({ type: "offer", sdp: decoded.sdp });
+    await this._flushRemoteCandidates();
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    return this.encodeSignal(pc.localDescription);
+  }
+
+  async applyRestartAnswer(answerCode) {
+    const decoded = await this.decodeSignal(answerCode);
+    const pc = this.pc;
+    if (!pc || decoded?.type !== "answer" || pc.signalingState !== "have-local-offer") return;
+    await pc.setRemoteDescription({ type: "answer", sdp: decoded.sdp });
+    await this._flushRemoteCandidates();
+  }
+
+  // A restart gathers new relay candidates, which needs TURN credentials that haven't expired since
+  // the connection was set up.
+  async _refreshIceServers() {
+    const pc = this.pc;
+    if (!pc || !webrtcConfig.useTurn || !webrtcConfig.turnRestUrl) return;
+    try {
+      const iceServers = await getIceServers(webrtcConfig);
+      if (this.pc === pc && pc.signalingState !== "closed") pc.setConfiguration({ ...pc.getConfiguration(), iceServers });
+    } catch (err) {
+      console.warn("[TURN] Updating ICE servers failed:", err);
+    }
+  }
+
+  // Returns true while recovery is (still) possible, so the caller reports "reconnecting".
+  _beginIceRecovery(state) {
+    if (!this.pc || this.pc.signalingState === "closed") return false;
+    if (!this._wasConnected || this._iceRecovery?.gaveUp) return false;
+    if (!this._iceRecovery) this._iceRecovery = { attempts: 0, timer: 0, gaveUp: false };
+    const rec = this._iceRecovery;
+
+    if (this.isOfferer) {
+      if (rec.attempts === 0 || state === "failed") {
+        clearTimeout(rec.timer);
+        rec.timer = setTimeout(() => void this._attemptIceRestart(), state === "failed" ? 0 : ICE_RESTART_GRACE_MS);
+      }
+    } else if (!rec.timer) {
+      // The answerer just waits for the offerer's restart.
+      rec.timer = setTimeout(() => this._giveUpIceRecovery(), ICE_RECOVERY_TIMEOUT_MS);
+    }
+    return true;
+  }
+
+  async _attemptIceRestart() {
+    const rec = this._iceRecovery;
+    const pc = this.pc;
+    if (!rec || !pc || pc.signalingState === "closed") return;
+    if (pc.connectionState === "connected") {
+      this._clearIceRecovery();
+      return;
+    }
+    if (rec.attempts >= ICE_RESTART_MAX_ATTEMPTS) {
+      this._giveUpIceRecovery();
+      return;
+    }
+    rec.attempts += 1;
+    clearTimeout(rec.timer);
+    rec.timer = setTimeout(() => void this._attemptIceRestart(), ICE_RESTART_RETRY_MS);
+
+    try {
+      await this._refreshIceServers();
+      await this._sendIceRestartOffer();
+      void this._sendRestartOverCtrl("ice-restart-offer");
+    } catch (err) {
+      console.warn("[ICE] Restart attempt failed:", err);
+    }
+  }
+
+  async _sendIceRestartOffer() {
+    const pc = this.pc;
+    if (pc.signalingState !== "stable") await pc.setLocalDescription({ type: "rollback" });
+    this.localCandidates = [];
+    this.localCandidatesDone = false;
+    const offer = await pc.createOffer({ iceRestart: true });
+    await pc.setLocalDescription(offer);
+    const code = await this.encodeSignal(pc.localDescription);
+    this.onRenegotiate?.(code);
   }
 
-  setupPC() {
+  // The control channel can't trickle, so wait for gathering and send one complete description.
+  async _sendRestartOverCtrl(type) {
+    if (this.dc?.readyState !== "open") return;
+    try {
+      await this.waitForIceComplete({ timeoutMs: 5000 });
+      const code = await this.encodeSignal(this.pc.localDescription);
+      this.send(JSON.stringify({ type, code }));
+    } catch {}
+  }
+
+  _giveUpIceRecovery() {
+    const rec = this._iceRecovery;
+    if (!rec || rec.gaveUp) return;
+    rec.gaveUp = true;
+    clearTimeout(rec.timer);
+    rec.timer = 0;
+    const s = this.pc?.connectionState;
+    if (s === "connected") return;
+    this.onStatusChange(s === "failed" ? "failed" : "disconnected");
+  }
+
+  _clearIceRecovery() {
+    if (this._iceRecovery) clearTimeout(this._iceRecovery.timer);
+    this._iceRecovery = null;
+  }
+
+  async _applyRemoteCandidate(init) {
+    const pc = this.pc;
+    if (!pc || pc.signalingState === "closed") return;
+    try {
+      await pc.addIceCandidate(init ?? undefined);
+    } catch (err) {
+      // Candidates from an earlier session (different ufrag) are expected to be rejected.
+      console.warn("[ICE] Ignored remote candidate:", err?.message ?? err);
+    }
+  }
+
+  async _flushRemoteCandidates() {
+    const pending = this._pendingRemoteCandidates;
+    this._pendingRemoteCandidates = [];
+    for (const init of pending) await this._applyRemoteCandidate(init);
+  }
+
+  _handleLocalCandidate(candidate) {
+    if (!candidate || !candidate.candidate) {
+      if (this.localCandidatesDone) return;
+      this.localCandidatesDone = true;
+      this.onLocalCandidate?.(null);
+      return;
+    }
+    const init = typeof candidate.toJSON === "function" ? candidate.toJSON() : { ...candidate };
+    if (webrtcConfig.useLanIpOverride) {
+      const ip = normalizeLanIpOverride(webrtcConfig.lanIpOverride);
+      if (ip) init.candidate = rewriteMdnsHostCandidate(init.candidate, ip);
+    }
+    this.localCandidates.push(init);
+    this.onLocalCandidate?.(init);
+  }
+
+  async setupPC() {
+    // May wait for TURN credentials from the REST endpoint (cached between connections). Fetched
+    // before the old pc goes away, so close() always finds the pc this client is using.
+    const iceServers = await getIceServers(webrtcConfig);
+    if (this._closed) throw createAbortError("Connection closed");
+
     this.stopHeartbeat();
     this._setRemoteCaps(null);
     try { this.dc?.close?.(); } catch {}
@@ -376,34 +836,42 @@ class PeerClient {
     this.fileChannels.clear();
 
     try { this.pc?.close?.(); } catch {}
-    const iceServers = [];
-    if (webrtcConfig.useStun) {
-      iceServers.push({ urls: "stun:stun.l.google.com:19302" });
-    }
-    if (webrtcConfig.useTurn) {
-      const url = String(webrtcConfig.turnUrl ?? "").trim();
-      if (url) {
-        const server = { urls: url };
-        const u = String(webrtcConfig.turnUsername ?? "").trim();
-        const p = String(webrtcConfig.turnCredential ?? "");
-        if (u) server.username = u;
-        if (p) server.credential = p;
-        iceServers.push(server);
-      }
-    }
+    this.pc = null;
 
     const pcConfig = { iceServers };
-    if (webrtcConfig.useTurn && webrtcConfig.forceTurnRelay && String(webrtcConfig.turnUrl ?? "").trim()) {
+    if (webrtcConfig.useTurn && webrtcConfig.forceTurnRelay && hasTurnServer(iceServers)) {
       pcConfig.iceTransportPolicy = "relay";
     }
 
     this.pc = new RTCPeerConnection(pcConfig);
+    this.localCandidates = [];
+    this.localCandidatesDone = false;
+    this.pc.onicecandidate = (e) => this._handleLocalCandidate(e.candidate);
     // Must be set before remote description, otherwise the event can be missed.
     this.pc.ondatachannel = (e) => {
       try { this.handleDataChannel(e.channel); } catch (err) { console.error(err); }
     };
-    this.pc.onconnectionstatechange = () => {
+    this._clearIceRecovery();
+    this._clearRelayFallback();
+    this.relayFallback = false;
+    this._lastRestartUfrag = "";
+    this._wasConnected = false; // a connection that never came up isn't worth restarting
+    this.pc.onconnectionstatechange = async () => {
       const s = this.pc.connectionState;
+      if (s === "connected") {
+        this._wasConnected = true;
+        this._clearIceRecovery();
+        this._clearRelayFallback();
+      }
+      // Direct checks gave up before the deadline: go for the relay right away.
+      if (s === "failed" && this._relayFallbackTimer) {
+        const pc = this.pc;
+        if ((await this._fallBackToRelay()) || this.pc !== pc) return;
+      }
+      if ((s === "disconnected" || s === "failed") && this._beginIceRecovery(s)) {
+        this.onStatusChange("reconnecting");
+        return;
+      }
       this.onStatusChange(s);
       if (s === "failed" || s === "closed") {
         this.stopHeartbeat();
@@ -439,7 +907,7 @@ class PeerClient {
     dc.onopen = () => {
       this.markPeerActivity();
       try {
-        dc.send(JSON.stringify({ type: "hello", v: PROTOCOL_VERSION, caps: { striping: 1 } }));
+        dc.send(JSON.stringify({ type: "hello", v: PROTOCOL_VERSION, caps: { striping: 1, sha256: 1, credit: 1 } }));
       } catch {}
       this.startHeartbeat();
       this.onStatusChange("connected");
@@ -499,9 +967,9 @@ class PeerClient {
     return dc || null;
   }
 
-  async ensureFileTxChannels({ count = 1, timeoutMs = 12000 } = {}) {
+  // `baseId` lets concurrent transfers each use their own set of channels.
+  async ensureFileTxChannels({ count = 1, timeoutMs = 12000, baseId = this.getFileTxId() } = {}) {
     const n = Math.max(1, Math.floor(count) || 1);
-    const baseId = this.getFileTxId();
     const ids = [];
     for (let i = 0; i < n; i++) ids.push(fileStreamIdForIndex(baseId, i));
     const channels = await Promise.all(ids.map((id) => this.openFileChannel(id, { timeoutMs })));
@@ -649,6 +1117,7 @@ class PeerClient {
     this.stopHeartbeat();
     this._lastPeerActivityAt = nowMs();
     this._peerTimedOut = false;
+    this.heartbeatRttMs = 0;
     this._hbTimer = setInterval(() => {
       if (!this.dc || this.dc.readyState !== "open") return;
 
@@ -676,9 +1145,23 @@ class PeerClient {
     this._peerTimedOut = false;
   }
 
+  // Emoji/words both users compare; null until both descriptions are set.
+  getShortAuthString() {
+    const local = extractDtlsFingerprint(this.pc?.localDescription?.sdp);
+    const remote = extractDtlsFingerprint(this.pc?.remoteDescription?.sdp);
+    return deriveShortAuthString(local, remote);
+  }
+
   close() {
+    this._closed = true;
     this.stopHeartbeat();
     this._setRemoteCaps(null);
+    this._clearIceRecovery();
+    this._clearRelayFallback();
+    this.onRelayFallback = null;
+    this.onLocalCandidate = null;
+    this.onRenegotiate = null;
+    this._pendingRemoteCandidates = [];
     try { this.dc?.close(); } catch {}
     for (const dc of this.fileChannels.values()) {
       try { dc?.close?.(); } catch {}
@@ -736,8 +1219,11 @@ class PeerClient {
       fast: webrtcConfig.useFastTransfer ? 1 : 0,
     };
 
-    const payload = JSON.stringify({ t: desc.type, s: sdp, c: cfg });
     const encodeBytes = (bytes) => base32EncodeBytes(bytes);
+    const packed = packCompactSignal({ type: desc.type, sdp }, cfg);
+    if (packed) return SIGNAL_PREFIX_COMPACT + encodeBytes(packed);
+
+    const payload = JSON.stringify({ t: desc.type, s: sdp, c: cfg });
 
     if (webrtcConfig.useSignalCompression && hasStreamCompression()) {
       try {
@@ -757,6 +1243,12 @@ class PeerClient {
     const trimmed = String(code ?? "").trim();
     if (!trimmed) throw new Error("Empty code");
 
+    // Base32 is case-insensitive, so a hand-typed code may well be in lowercase.
+    if (trimmed.slice(0, SIGNAL_PREFIX_COMPACT.length).toUpperCase() === SIGNAL_PREFIX_COMPACT) {
+      const bytes = base32DecodeToBytes(trimmed.slice(SIGNAL_PREFIX_COMPACT.length));
+      return unpackCompactSignal(bytes);
+    }
+
     if (trimmed.startsWith(SIGNAL_PREFIX_GZIP_B32)) {
       if (!hasStreamCompression()) {
         throw new Error(
@@ -817,13 +1309,35 @@ class PeerClient {
       }
       if (msg?.type === "hb-pong") {
         this.markPeerActivity();
+        // The pong echoes our own ping time, so clock differences between the peers don't matter.
+        const rtt = Date.now() - Number(msg.t);
+        if (Number.isFinite(rtt) && rtt >= 0) this.heartbeatRttMs = rtt;
+        return;
+      }
+      if (msg?.type === "ice-restart-offer") {
+        this.markPeerActivity();
+        try {
+          if (await this.acceptRestartOffer(msg.code)) void this._sendRestartOverCtrl("ice-restart-answer");
+        } catch (err) {
+          console.warn("[ICE] Couldn't apply restart offer:", err);
+        }
+        return;
+      }
+      if (msg?.type === "ice-restart-answer") {
+        this.markPeerActivity();
+        try { await this.applyRestartAnswer(msg.code); } catch (err) { console.warn("[ICE] Couldn't apply restart answer:", err); }
         return;
       }
       if (msg?.type === "hello") {
         this.markPeerActivity();
         const v = Number(msg?.v) || 0;
         const caps = msg?.caps && typeof msg.caps === "object" ? msg.caps : {};
-        this._setRemoteCaps({ v, striping: Boolean(caps.striping) });
+        this._setRemoteCaps({
+          v,
+          striping: Boolean(caps.striping),
+          sha256: Boolean(caps.sha256),
+          credit: Boolean(caps.credit),
+        });
         return;
       }
       this.markPeerActivity();
@@ -958,9 +1472,19 @@ export {
   nowMs,
   PeerClient,
   PROTOCOL_VERSION,
+  exportSettings,
+  importSettings,
+  resetSettings,
+  setCodeLifetime,
+  setConfigDefaults,
   setForceTurnRelay,
   setLanIpOverrideValue,
+  setNearbyGroup,
+  setNearbyName,
+  setRequireSasConfirm,
+  setStunUrls,
   setTurnCredential,
+  setTurnRestUrl,
   setTurnUrl,
   setTurnUsername,
   setUseFastTransfer,
@@ -971,5 +1495,6 @@ export {
   setUseTurn,
   streamIdMatchesBase,
   UI_PROGRESS_MIN_INTERVAL_MS,
+  validateSetting,
   webrtcConfig,
 };